@@ -1,11 +1,49 @@
 // src/app.js (combined with settings and titlebar functionality)
+const SEARCH_PAGE_SIZE = 20;
+// Where each project type's install button puts it
+const PROJECT_TYPE_NOUNS = {
+  mod: 'mods',
+  resourcepack: 'resource packs',
+  shader: 'shader packs',
+  datapack: 'data packs',
+  modpack: 'modpacks'
+};
+
 class LumenModManager {
   constructor() {
     this.setupScreen = document.getElementById('setup-screen');
     this.mainScreen = document.getElementById('main-screen');
     this.currentTab = 'browse';
     this.searchResults = [];
+    // query and filters of the search being shown, so more pages can be
+    // fetched for it and it survives tab switches
+    this.searchState = { query: null, filters: null, total: 0, loading: false, id: 0, scrollY: 0 };
     this.installedMods = [];
+    // Which project type the Installed tab shows
+    this.installedSection = 'mod';
+    // Base file names, so a selection survives enabling and disabling
+    this.selectedMods = new Set();
+    this.profiles = {};
+    this.currentProfile = 'default';
+    this.profileToDelete = null;
+    this.profileToExport = null;
+    this.profileToEditFolders = null;
+    this.profileToEdit = null;
+    this.lockfileProfile = null;
+    this.backupsProfile = null;
+    this.manageableFolders = [];
+    this.providers = [];
+    this.detailsProvider = null;
+    this.detailsType = 'mod';
+    this.detailsProject = null;
+    this.detailsVersions = [];
+    this.detailsDependencies = {};
+    this.detailsRecommendedId = null;
+    // { gameVersions: { releases, snapshots }, loaders: [{ id, name }] }
+    this.gameTags = null;
+    // The profile the search filters were last preset for
+    this.filterProfile = null;
+    this.downloads = new Map();
     this.settings = {};
     
     this.init();
@@ -14,8 +52,13 @@ class LumenModManager {
   async init() {
     await this.setupTitlebar();
     await this.loadSettings();
+    // Not awaited: the lists may take a while without a connection, and
+    // the profile's own version and loader are offered meanwhile
+    this.loadGameTags();
     await this.checkSetupStatus();
     this.setupEventListeners();
+    await this.loadDownloads();
+    await this.loadOfflineStatus();
   }
 
   async setupTitlebar() {
@@ -74,7 +117,9 @@ class LumenModManager {
     if (status.isSetup) {
       this.showMainScreen();
       this.updateModsPath(status.modsPath);
-      await this.loadInstalledMods();
+      await this.loadProfiles();
+      await this.loadProviders();
+      await this.loadInstalledContent();
     } else {
       this.showSetupScreen();
     }
@@ -143,21 +188,63 @@ class LumenModManager {
     });
 
     // Filter changes
-    document.getElementById('minecraft-version').addEventListener('change', () => {
-      if (this.searchResults.length > 0) {
-        this.performSearch();
-      }
+    document.getElementById('project-type').addEventListener('change', () => {
+      this.updateFiltersForType();
     });
 
-    document.getElementById('mod-loader').addEventListener('change', () => {
-      if (this.searchResults.length > 0) {
-        this.performSearch();
-      }
+    ['project-type', 'minecraft-version', 'mod-loader', 'mod-source', 'search-sort'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        if (this.searchState.query !== null) {
+          this.performSearch();
+        }
+      });
     });
 
+    document.querySelectorAll('.filter-chips .filter-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        chip.classList.toggle('active');
+        if (this.searchState.query !== null) {
+          this.performSearch();
+        }
+      });
+    });
+
+    document.getElementById('load-more-btn').addEventListener('click', () => {
+      this.loadSearchPage();
+    });
+
+    // Fetch the next page as the end of the results scrolls into view
+    new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting) && this.currentTab === 'browse') {
+        this.loadSearchPage();
+      }
+    }, { rootMargin: '200px' }).observe(document.getElementById('search-more'));
+
     // Installed mods refresh
     document.getElementById('refresh-installed-btn').addEventListener('click', () => {
-      this.loadInstalledMods();
+      this.loadInstalledContent();
+    });
+
+    document.querySelectorAll('.installed-sections .filter-chip').forEach(button => {
+      button.addEventListener('click', () => {
+        this.installedSection = button.dataset.content;
+        document.querySelectorAll('.installed-sections .filter-chip').forEach(other => {
+          other.classList.toggle('active', other === button);
+        });
+        this.loadInstalledContent();
+      });
+    });
+
+    document.getElementById('enable-selected-btn').addEventListener('click', () => {
+      this.setModsEnabled(this.getSelectedMods(), true);
+    });
+
+    document.getElementById('disable-selected-btn').addEventListener('click', () => {
+      this.setModsEnabled(this.getSelectedMods(), false);
+    });
+
+    document.getElementById('isolate-selected-btn').addEventListener('click', () => {
+      this.isolateSelectedMods();
     });
 
     // Open mods folder
@@ -165,6 +252,129 @@ class LumenModManager {
       await electronAPI.openModsFolder();
     });
 
+    // Profiles
+    document.getElementById('profile-select').addEventListener('change', (e) => {
+      this.switchProfile(e.target.value);
+    });
+
+    document.getElementById('manage-profiles-btn').addEventListener('click', () => {
+      this.switchTab('profiles');
+    });
+
+    document.getElementById('create-profile-btn').addEventListener('click', () => {
+      this.openCreateProfileModal();
+    });
+
+    document.getElementById('import-mrpack-btn').addEventListener('click', () => {
+      this.importModpack('mrpack');
+    });
+
+    document.getElementById('import-packwiz-btn').addEventListener('click', () => {
+      this.importModpack('packwiz');
+    });
+
+    document.getElementById('confirm-create-profile').addEventListener('click', () => {
+      this.createProfile();
+    });
+
+    ['close-create-profile-modal', 'cancel-create-profile'].forEach(id => {
+      document.getElementById(id).addEventListener('click', () => {
+        document.getElementById('create-profile-modal').classList.add('hidden');
+      });
+    });
+
+    document.getElementById('confirm-delete-profile').addEventListener('click', () => {
+      this.deleteProfile();
+    });
+
+    document.getElementById('lockfile-write-btn').addEventListener('click', () => {
+      this.writeLockfile();
+    });
+
+    document.getElementById('lockfile-import-btn').addEventListener('click', () => {
+      this.importLockfile();
+    });
+
+    document.getElementById('lockfile-export-btn').addEventListener('click', () => {
+      this.exportLockfile();
+    });
+
+    document.getElementById('confirm-lockfile-sync').addEventListener('click', () => {
+      this.syncLockfile();
+    });
+
+    ['close-backups-modal', 'cancel-backups'].forEach(id => {
+      document.getElementById(id).addEventListener('click', () => {
+        document.getElementById('backups-modal').classList.add('hidden');
+      });
+    });
+
+    document.getElementById('backups-list').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-backup-action]');
+      if (!button) return;
+      if (button.dataset.backupAction === 'restore') {
+        this.restoreBackup(button.dataset.backupId);
+      } else {
+        this.deleteBackup(button.dataset.backupId);
+      }
+    });
+
+    ['close-lockfile-modal', 'cancel-lockfile'].forEach(id => {
+      document.getElementById(id).addEventListener('click', () => {
+        document.getElementById('lockfile-modal').classList.add('hidden');
+      });
+    });
+
+    electronAPI.onLockfileSyncProgress((progress) => {
+      if (progress.profileId !== this.lockfileProfile) return;
+      document.getElementById('confirm-lockfile-sync').textContent = `Syncing ${progress.current}/${progress.total}...`;
+    });
+
+    document.getElementById('confirm-edit-profile').addEventListener('click', () => {
+      this.saveProfileEdits();
+    });
+
+    ['close-edit-profile-modal', 'cancel-edit-profile'].forEach(id => {
+      document.getElementById(id).addEventListener('click', () => {
+        document.getElementById('edit-profile-modal').classList.add('hidden');
+        this.profileToEdit = null;
+      });
+    });
+
+    document.getElementById('confirm-profile-folders').addEventListener('click', () => {
+      this.saveProfileFolders();
+    });
+
+    ['close-profile-folders-modal', 'cancel-profile-folders'].forEach(id => {
+      document.getElementById(id).addEventListener('click', () => {
+        document.getElementById('profile-folders-modal').classList.add('hidden');
+      });
+    });
+
+    document.getElementById('confirm-export-profile').addEventListener('click', () => {
+      this.exportProfile();
+    });
+
+    ['close-export-profile-modal', 'cancel-export-profile'].forEach(id => {
+      document.getElementById(id).addEventListener('click', () => {
+        document.getElementById('export-profile-modal').classList.add('hidden');
+      });
+    });
+
+    ['close-delete-profile-modal', 'cancel-delete-profile'].forEach(id => {
+      document.getElementById(id).addEventListener('click', () => {
+        document.getElementById('delete-profile-modal').classList.add('hidden');
+      });
+    });
+
+    electronAPI.onMrpackImportProgress((data) => {
+      this.showImportProgress(document.getElementById('import-mrpack-btn'), data);
+    });
+
+    electronAPI.onPackwizImportProgress((data) => {
+      this.showImportProgress(document.getElementById('import-packwiz-btn'), data);
+    });
+
     // Modal close
     document.getElementById('close-modal').addEventListener('click', () => {
       this.closeModal();
@@ -206,9 +416,91 @@ class LumenModManager {
     document.getElementById('download-location-setting').addEventListener('change', (e) => {
       this.saveSettings({ downloadLocation: e.target.value });
     });
+
+    ['backup-keep-setting', 'backup-size-setting'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => {
+        this.saveSettings({
+          backupRetention: {
+            keepPerMod: Math.max(0, parseInt(document.getElementById('backup-keep-setting').value, 10) || 0),
+            maxTotalSizeMB: Math.max(0, parseInt(document.getElementById('backup-size-setting').value, 10) || 0)
+          }
+        });
+      });
+    });
+
+    document.getElementById('download-concurrency-setting').addEventListener('change', (e) => {
+      this.saveSettings({ downloadConcurrency: parseInt(e.target.value, 10) });
+    });
+
+    document.getElementById('save-network-btn').addEventListener('click', () => {
+      this.saveNetworkSettings();
+    });
+
+    // Offline mode
+    document.getElementById('offline-toggle').addEventListener('click', () => {
+      this.setOfflineMode(!this.settings.offlineMode);
+    });
+
+    document.getElementById('offline-mode-setting').addEventListener('change', (e) => {
+      this.setOfflineMode(e.target.checked);
+    });
+
+    document.getElementById('clear-cache-btn').addEventListener('click', async () => {
+      const result = await electronAPI.clearResponseCache();
+      if (result.success) {
+        this.showSuccess('Cache cleared');
+      } else {
+        this.showError('Failed to clear cache: ' + result.error);
+      }
+    });
+
+    electronAPI.onPendingInstallsFinished(async () => {
+      await this.loadOfflineStatus();
+      if (this.currentTab === 'installed') {
+        await this.loadInstalledContent();
+      }
+    });
+
+    // Downloads
+    electronAPI.onDownloadQueueChanged((item) => {
+      this.downloads.set(item.id, item);
+      this.renderDownloads();
+    });
+
+    document.getElementById('clear-downloads-btn').addEventListener('click', () => {
+      this.clearFinishedDownloads();
+    });
+
+    document.getElementById('downloads-list').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-download-action]');
+      if (button) {
+        this.controlDownload(button.dataset.downloadId, button.dataset.downloadAction);
+      }
+    });
+
+    // Mod sources
+    document.getElementById('add-folder-provider').addEventListener('click', () => {
+      this.addProvider({ type: 'local' });
+    });
+
+    document.getElementById('add-server-provider').addEventListener('click', () => {
+      const input = document.getElementById('provider-url-setting');
+      const baseUrl = input.value.trim();
+      if (!baseUrl) {
+        this.showError('Please enter a server URL');
+        return;
+      }
+      this.addProvider({ type: 'modrinth', baseUrl }).then(added => {
+        if (added) input.value = '';
+      });
+    });
   }
 
   switchTab(tabName) {
+    if (this.currentTab === 'browse' && tabName !== 'browse') {
+      this.searchState.scrollY = window.scrollY;
+    }
+
     // Update navigation
     document.querySelectorAll('.nav-btn').forEach(btn => {
       btn.classList.toggle('active', btn.dataset.tab === tabName);
@@ -223,9 +515,15 @@ class LumenModManager {
 
     // Load data if needed
     if (tabName === 'installed') {
-      this.loadInstalledMods();
+      this.loadInstalledContent();
+    } else if (tabName === 'profiles') {
+      this.loadProfiles();
     } else if (tabName === 'settings') {
       this.updateSettingsDisplay();
+    } else if (tabName === 'downloads') {
+      this.renderDownloads();
+    } else if (tabName === 'browse') {
+      window.scrollTo(0, this.searchState.scrollY);
     }
   }
 
@@ -235,59 +533,124 @@ class LumenModManager {
     document.getElementById('auto-update-setting').checked = this.settings.autoUpdate || false;
     document.getElementById('notifications-setting').checked = this.settings.showNotifications !== false;
     document.getElementById('compact-view-setting').checked = this.settings.compactView || false;
+    document.getElementById('offline-mode-setting').checked = !!this.settings.offlineMode;
+    document.getElementById('api-base-url-setting').value = this.settings.apiBaseUrl || '';
+    document.getElementById('proxy-setting').value = this.settings.proxy || '';
     document.getElementById('theme-setting').value = this.settings.theme || 'dark';
     document.getElementById('download-location-setting').value = this.settings.downloadLocation || 'mods-folder';
+    document.getElementById('download-concurrency-setting').value = String(this.settings.downloadConcurrency || 3);
+    const retention = this.settings.backupRetention || {};
+    document.getElementById('backup-keep-setting').value = retention.keepPerMod ?? 5;
+    document.getElementById('backup-size-setting').value = retention.maxTotalSizeMB ?? 500;
+  }
+
+  getSearchFilters() {
+    const projectType = document.getElementById('project-type').value;
+    const version = document.getElementById('minecraft-version').value;
+    const loader = document.getElementById('mod-loader').value;
+    const modFilters = this.usesModFilters(projectType);
+
+    return {
+      provider: document.getElementById('mod-source').value,
+      projectType,
+      versions: version ? [version] : [],
+      loaders: loader && modFilters ? [loader] : [],
+      categories: modFilters ? [...document.querySelectorAll('.filter-chip.active[data-category]')].map(chip => chip.dataset.category) : [],
+      environments: modFilters ? [...document.querySelectorAll('.filter-chip.active[data-environment]')].map(chip => chip.dataset.environment) : [],
+      sort: document.getElementById('search-sort').value
+    };
+  }
+
+  // Packs have no mod loader, and the category and environment chips are
+  // the ones mods and modpacks are tagged with
+  usesModFilters(projectType) {
+    return projectType === 'mod' || projectType === 'modpack';
+  }
+
+  updateFiltersForType() {
+    const projectType = document.getElementById('project-type').value;
+    const modFilters = this.usesModFilters(projectType);
+    document.getElementById('mod-loader').classList.toggle('hidden', !modFilters);
+    document.querySelector('.filter-chips').classList.toggle('hidden', !modFilters);
+    document.getElementById('search-input').placeholder = `Search for ${PROJECT_TYPE_NOUNS[projectType]}...`;
   }
 
+  // An empty query browses everything matching the filters
   async performSearch() {
-    const query = document.getElementById('search-input').value.trim();
-    if (!query) {
-      this.showError('Please enter a search term');
-      return;
-    }
+    this.searchState = {
+      query: document.getElementById('search-input').value.trim(),
+      filters: this.getSearchFilters(),
+      total: 0,
+      loading: false,
+      id: this.searchState.id + 1,
+      scrollY: 0
+    };
+    this.searchResults = [];
+    this.displaySearchResults();
+    await this.loadSearchPage();
+  }
+
+  async loadSearchPage() {
+    const state = this.searchState;
+    if (state.query === null || state.loading) return;
+    if (this.searchResults.length > 0 && this.searchResults.length >= state.total) return;
 
     const loading = document.getElementById('loading');
-    const resultsContainer = document.getElementById('search-results');
-    
+    state.loading = true;
     loading.classList.remove('hidden');
-    resultsContainer.innerHTML = '';
-
-    const filters = {
-      versions: document.getElementById('minecraft-version').value ? 
-        [document.getElementById('minecraft-version').value] : [],
-      loaders: document.getElementById('mod-loader').value ? 
-        [document.getElementById('mod-loader').value] : []
-    };
 
     try {
-      const result = await electronAPI.searchMods(query, filters);
-      loading.classList.add('hidden');
+      const result = await electronAPI.searchMods(state.query, {
+        ...state.filters,
+        offset: this.searchResults.length,
+        limit: SEARCH_PAGE_SIZE
+      });
+
+      // A newer search replaced this one while it was loading
+      if (state !== this.searchState) return;
 
       if (result.success) {
-        this.searchResults = result.data.hits;
-        this.displaySearchResults();
+        this.showStaleNotice(document.getElementById('search-stale'), result.staleSince);
+        state.total = result.data.total_hits;
+        this.searchResults.push(...result.data.hits);
+        this.displaySearchResults(result.data.hits);
       } else {
         this.showError('Search failed: ' + result.error);
       }
     } catch (error) {
-      loading.classList.add('hidden');
       this.showError('Search failed: ' + error.message);
+    } finally {
+      state.loading = false;
+      if (state === this.searchState) {
+        loading.classList.add('hidden');
+      }
     }
   }
 
-  displaySearchResults() {
+  // With newHits, append them to the results shown; otherwise redraw all
+  displaySearchResults(newHits) {
     const container = document.getElementById('search-results');
-    container.innerHTML = '';
+    if (!newHits) {
+      container.innerHTML = '';
+    }
 
     if (this.searchResults.length === 0) {
-      container.innerHTML = '<div class="no-results">No mods found matching your search</div>';
-      return;
+      if (this.searchState.total === 0 && newHits) {
+        container.innerHTML = `<div class="no-results">No ${PROJECT_TYPE_NOUNS[this.searchState.filters.projectType] || 'mods'} found matching your search</div>`;
+      }
+    } else {
+      (newHits || this.searchResults).forEach(mod => {
+        const modCard = this.createModCard(mod);
+        container.appendChild(modCard);
+      });
     }
 
-    this.searchResults.forEach(mod => {
-      const modCard = this.createModCard(mod);
-      container.appendChild(modCard);
-    });
+    const more = document.getElementById('search-more');
+    const remaining = this.searchState.total - this.searchResults.length;
+    more.classList.toggle('hidden', this.searchResults.length === 0);
+    document.getElementById('search-count').textContent =
+      `Showing ${this.searchResults.length} of ${this.formatNumber(this.searchState.total)}`;
+    document.getElementById('load-more-btn').classList.toggle('hidden', remaining <= 0);
   }
 
   createModCard(mod) {
@@ -306,14 +669,17 @@ class LumenModManager {
       </div>
     `;
 
+    const projectType = this.searchState.filters ? this.searchState.filters.projectType : 'mod';
     card.addEventListener('click', () => {
-      this.showModDetails(mod.project_id || mod.slug);
+      this.showModDetails(mod.project_id || mod.slug, mod.provider, projectType);
     });
 
     return card;
   }
 
-  async showModDetails(projectId) {
+  // projectType is what the project was found as; data packs are filed
+  // as mods on Modrinth, so the project alone can't tell
+  async showModDetails(projectId, providerId, projectType = 'mod') {
     const modal = document.getElementById('mod-modal');
     const title = document.getElementById('modal-title');
     const info = document.getElementById('modal-info');
@@ -326,66 +692,125 @@ class LumenModManager {
     modal.classList.remove('hidden');
 
     try {
-      const result = await electronAPI.getModDetails(projectId);
+      const result = await electronAPI.getModDetails(projectId, providerId);
       
       if (result.success) {
-        const { project, versions: modVersions } = result;
+        const { project, members, dependencies } = result;
+        this.detailsProvider = result.provider;
+        this.detailsType = projectType;
+        this.detailsProject = project;
+        this.detailsVersions = result.versions;
+        this.detailsDependencies = dependencies || {};
         
         title.textContent = project.title;
+
+        const links = [
+          ['Issues', project.issues_url],
+          ['Source', project.source_url],
+          ['Wiki', project.wiki_url],
+          ['Discord', project.discord_url],
+          ...(project.donation_urls || []).map(donation => [donation.platform || 'Donate', donation.url])
+        ].filter(([, url]) => /^https?:\/\//.test(url || ''));
         
         info.innerHTML = `
+          ${result.staleSince ? `<div class="stale-notice">${this.getStaleText(result.staleSince)}</div>` : ''}
           <div class="mod-detail-info">
-            <img src="${project.icon_url || this.getDefaultIcon()}" alt="${this.escapeHtml(project.title)}" onerror="this.src='${this.getDefaultIcon()}'">
-            <p><strong>Author:</strong> ${this.escapeHtml(project.team || 'Unknown')}</p>
-            <p><strong>Downloads:</strong> ${this.formatNumber(project.downloads)}</p>
-            <p><strong>Followers:</strong> ${this.formatNumber(project.followers)}</p>
-            <p><strong>Categories:</strong> ${project.categories ? project.categories.join(', ') : 'None'}</p>
-            <p><strong>License:</strong> ${project.license ? project.license.name : 'Unknown'}</p>
-            <div style="margin-top: 1rem;">
-              <strong>Description:</strong>
-              <p>${this.escapeHtml(project.description)}</p>
+            <div class="project-header">
+              <img src="${project.icon_url || this.getDefaultIcon()}" alt="${this.escapeHtml(project.title)}" onerror="this.src='${this.getDefaultIcon()}'">
+              <div>
+                <p>${this.escapeHtml(project.description)}</p>
+                <div class="mod-stats">
+                  <span title="Downloads">📥 ${this.formatNumber(project.downloads)}</span>
+                  <span title="Followers">⭐ ${this.formatNumber(project.followers)}</span>
+                  <span title="License">${this.escapeHtml(project.license ? project.license.name || project.license.id : 'Unknown license')}</span>
+                </div>
+                <p><strong>Categories:</strong> ${project.categories && project.categories.length > 0 ? this.escapeHtml(project.categories.join(', ')) : 'None'}</p>
+              </div>
             </div>
+            ${members.length > 0 ? `
+              <div class="project-members">
+                ${members.map(member => `
+                  <div class="project-member">
+                    <img src="${this.escapeHtml(member.user.avatar_url || this.getDefaultIcon())}" alt="" onerror="this.src='${this.getDefaultIcon()}'">
+                    <div>
+                      <strong>${this.escapeHtml(member.user.username)}</strong>
+                      <span>${this.escapeHtml(member.role || 'Member')}</span>
+                    </div>
+                  </div>
+                `).join('')}
+              </div>
+            ` : ''}
+            ${links.length > 0 ? `
+              <div class="project-links">
+                ${links.map(([label, url]) => `<a href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(label)}</a>`).join('')}
+              </div>
+            ` : ''}
           </div>
         `;
 
-        // Display versions
-        const versionsToShow = modVersions.slice(0, 10);
+        const gallery = project.gallery || [];
         versions.innerHTML = `
-          <h3>Available Versions</h3>
-          <div class="versions-list">
-            ${versionsToShow.map(version => `
-              <div class="version-item">
-                <div class="version-info">
-                  <div class="version-number">${this.escapeHtml(version.name)} (${this.escapeHtml(version.version_number)})</div>
-                  <div class="version-details">
-                    <span>${version.game_versions ? version.game_versions.join(', ') : 'Unknown'}</span>
-                    <span>${version.loaders ? version.loaders.join(', ') : 'Unknown'}</span>
-                    <span>${this.formatDate(version.date_published)}</span>
-                  </div>
-                </div>
-                <button class="primary-btn download-btn" data-version='${JSON.stringify(version)}' data-filename="${version.files && version.files[0] ? version.files[0].filename : 'mod.jar'}">
-                  <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-                    <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>
-                  </svg>
-                  Download
-                </button>
-              </div>
-            `).join('')}
+          <div class="details-tabs">
+            <button class="filter-chip active" data-panel="description">Description</button>
+            ${gallery.length > 0 ? `<button class="filter-chip" data-panel="gallery">Gallery (${gallery.length})</button>` : ''}
+            <button class="filter-chip" data-panel="versions">Versions (${this.detailsVersions.length})</button>
+          </div>
+          <div class="details-panel markdown-body" data-panel="description">
+            ${project.bodyHtml || `<p>${this.escapeHtml(project.description)}</p>`}
+          </div>
+          ${gallery.length > 0 ? `
+            <div class="details-panel project-gallery hidden" data-panel="gallery">
+              ${gallery.map(image => `
+                <figure>
+                  <a href="${this.escapeHtml(image.url)}" target="_blank" rel="noopener noreferrer">
+                    <img src="${this.escapeHtml(image.url)}" alt="${this.escapeHtml(image.title || '')}" loading="lazy">
+                  </a>
+                  ${image.title || image.description ? `
+                    <figcaption>
+                      ${image.title ? `<strong>${this.escapeHtml(image.title)}</strong>` : ''}
+                      ${image.description ? `<span>${this.escapeHtml(image.description)}</span>` : ''}
+                    </figcaption>
+                  ` : ''}
+                </figure>
+              `).join('')}
+            </div>
+          ` : ''}
+          <div class="details-panel hidden" data-panel="versions">
+            <div class="version-filters">
+              <select class="filter-select" id="details-version-filter">
+                <option value="">All game versions</option>
+                ${this.getDetailsValues('game_versions').map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`).join('')}
+              </select>
+              <select class="filter-select" id="details-loader-filter">
+                <option value="">All loaders</option>
+                ${this.getDetailsValues('loaders').map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`).join('')}
+              </select>
+              <select class="filter-select" id="details-channel-filter">
+                <option value="">All channels</option>
+                <option value="release">Release</option>
+                <option value="beta">Beta</option>
+                <option value="alpha">Alpha</option>
+              </select>
+            </div>
+            <div class="details-profile-hint" id="details-profile-hint"></div>
+            <div class="versions-list" id="details-versions-list"></div>
           </div>
         `;
 
-        // Add download event listeners
-        versions.querySelectorAll('.download-btn').forEach(btn => {
-          btn.addEventListener('click', async (e) => {
-            e.preventDefault();
-            const versionData = JSON.parse(btn.dataset.version);
-            const filename = btn.dataset.filename;
-            
-            if (versionData.files && versionData.files[0]) {
-              await this.downloadMod(versionData.files[0], filename);
-            }
+        versions.querySelectorAll('.details-tabs .filter-chip').forEach(tab => {
+          tab.addEventListener('click', () => {
+            versions.querySelectorAll('.details-tabs .filter-chip').forEach(t => t.classList.toggle('active', t === tab));
+            versions.querySelectorAll('.details-panel').forEach(panel => {
+              panel.classList.toggle('hidden', panel.dataset.panel !== tab.dataset.panel);
+            });
           });
         });
+
+        ['details-version-filter', 'details-loader-filter', 'details-channel-filter'].forEach(id => {
+          document.getElementById(id).addEventListener('change', () => this.renderDetailsVersions());
+        });
+
+        this.presetDetailsFilters();
         
       } else {
         info.innerHTML = `<div class="error">Failed to load mod details: ${result.error}</div>`;
@@ -395,109 +820,585 @@ class LumenModManager {
     }
   }
 
-  async downloadMod(fileData, filename) {
-    const downloadBtns = document.querySelectorAll('.download-btn');
-    
-    // Disable all download buttons
-    downloadBtns.forEach(btn => {
-      btn.disabled = true;
-      btn.innerHTML = '<div class="spinner" style="width: 16px; height: 16px;"></div> Downloading...';
-    });
+  // Every game version or loader the project's versions are filed under,
+  // newest game versions first as Modrinth lists them
+  getDetailsValues(field) {
+    const values = [...new Set(this.detailsVersions.flatMap(version => version[field] || []))];
+    if (field !== 'game_versions') return values.sort();
 
-    try {
-      const result = await electronAPI.downloadMod(fileData, filename);
-      
-      if (result.success) {
-        this.showSuccess('Mod downloaded successfully!');
-        this.closeModal();
-        if (this.currentTab === 'installed') {
-          await this.loadInstalledMods();
-        }
-      } else {
-        this.showError('Download failed: ' + result.error);
-      }
-    } catch (error) {
-      this.showError('Download failed: ' + error.message);
-    } finally {
-      // Re-enable download buttons
-      downloadBtns.forEach(btn => {
-        btn.disabled = false;
-        btn.innerHTML = `
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-            <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>
-          </svg>
-          Download
-        `;
-      });
-    }
+    const { releases = [], snapshots = [] } = this.gameTags ? this.gameTags.gameVersions : {};
+    const order = [...releases, ...snapshots];
+    const rank = value => (order.includes(value) ? order.indexOf(value) : order.length);
+    return values.sort((a, b) => rank(a) - rank(b) || b.localeCompare(a, undefined, { numeric: true }));
   }
 
-  async loadInstalledMods() {
-    const container = document.getElementById('installed-mods');
-    
-    try {
-      const result = await electronAPI.getInstalledMods();
-      
-      if (result.success) {
-        this.installedMods = result.mods;
-        this.displayInstalledMods();
-      } else {
-        container.innerHTML = `<div class="error">Failed to load installed mods: ${result.error}</div>`;
+  // Packs aren't tied to the profile's loader, only its game version
+  getDetailsProfile() {
+    const profile = this.profiles[this.currentProfile] || {};
+    return {
+      name: profile.name || 'this profile',
+      gameVersion: profile.gameVersion || null,
+      loader: this.usesModFilters(this.detailsType) ? profile.loader || null : null
+    };
+  }
+
+  isCompatibleVersion(version) {
+    const { gameVersion, loader } = this.getDetailsProfile();
+    return (!gameVersion || (version.game_versions || []).includes(gameVersion)) &&
+      (!loader || (version.loaders || []).includes(loader));
+  }
+
+  // The version list opens on what fits the active profile; the filters
+  // can still be cleared to see everything
+  presetDetailsFilters() {
+    const { gameVersion, loader } = this.getDetailsProfile();
+    const preset = (id, value) => {
+      const select = document.getElementById(id);
+      if (value && Array.from(select.options).some(option => option.value === value)) {
+        select.value = value;
       }
-    } catch (error) {
-      container.innerHTML = `<div class="error">Failed to load installed mods: ${error.message}</div>`;
-    }
+    };
+    preset('details-version-filter', gameVersion);
+    preset('details-loader-filter', loader);
+
+    const compatible = this.detailsVersions.filter(version => this.isCompatibleVersion(version));
+    const recommended = compatible.filter(version => (version.version_type || 'release') === 'release')
+      .sort((a, b) => new Date(b.date_published) - new Date(a.date_published))[0];
+    this.detailsRecommendedId = recommended ? recommended.id : null;
+
+    const profile = this.getDetailsProfile();
+    const target = [profile.gameVersion, profile.loader].filter(Boolean).join(' ');
+    document.getElementById('details-profile-hint').textContent = !target
+      ? ''
+      : compatible.length === 0
+        ? `No versions for ${profile.name} (${target})`
+        : recommended
+          ? `Recommended for ${profile.name} (${target}): ${recommended.version_number}`
+          : `No release for ${profile.name} (${target}) yet; only beta and alpha versions`;
+
+    this.renderDetailsVersions();
   }
 
-  displayInstalledMods() {
-    const container = document.getElementById('installed-mods');
-    
-    if (this.installedMods.length === 0) {
-      container.innerHTML = '<div class="no-mods">No mods installed yet. Browse and download some mods to get started!</div>';
+  // The primary file first; the others (sources, dev jars, ...) can still
+  // be picked when a version ships more than one
+  getVersionFiles(version) {
+    const files = version.files || [];
+    const primary = files.find(f => f.primary) || files[0];
+    return primary ? [primary, ...files.filter(f => f !== primary)] : [];
+  }
+
+  renderDetailsVersions() {
+    const list = document.getElementById('details-versions-list');
+    if (!list) return;
+
+    const gameVersion = document.getElementById('details-version-filter').value;
+    const loader = document.getElementById('details-loader-filter').value;
+    const channel = document.getElementById('details-channel-filter').value;
+    const projectType = this.detailsType;
+
+    const matching = this.detailsVersions.filter(version =>
+      (!gameVersion || (version.game_versions || []).includes(gameVersion)) &&
+      (!loader || (version.loaders || []).includes(loader)) &&
+      (!channel || (version.version_type || 'release') === channel)
+    );
+
+    if (matching.length === 0) {
+      list.innerHTML = '<div class="empty-state"><p>No versions match these filters</p></div>';
       return;
     }
 
-    container.innerHTML = '';
-    
-    this.installedMods.forEach(mod => {
-      const modCard = document.createElement('div');
-      modCard.className = 'installed-card';
-      
-      modCard.innerHTML = `
-        <div class="installed-info">
-          <h3>${this.escapeHtml(mod.name)}</h3>
-          <p>Size: ${this.formatFileSize(mod.size)}</p>
-        </div>
-        <div class="installed-actions">
-          <button class="danger-btn delete-mod-btn" data-path="${mod.path}">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
-              <path d="M9,3V4H4V6H5V19A2,2 0 0,0 7,21H17A2,2 0 0,0 19,19V6H20V4H15V3H9M7,6H17V19H7V6M9,8V17H11V8H9M13,8V17H15V8H13Z"/>
-            </svg>
-            Delete
-          </button>
+    list.innerHTML = matching.map(version => {
+      const dependencies = version.dependencies || [];
+      const files = this.getVersionFiles(version);
+      const compatible = this.isCompatibleVersion(version);
+      const recommended = version.id === this.detailsRecommendedId;
+      return `
+        <div class="version-item ${compatible ? 'compatible' : 'incompatible'} ${recommended ? 'recommended' : ''}">
+          <div class="version-info">
+            <div class="version-number">
+              ${this.escapeHtml(version.name)} (${this.escapeHtml(version.version_number)})
+              <span class="channel-badge ${this.escapeHtml(version.version_type || 'release')}">${this.escapeHtml(version.version_type || 'release')}</span>
+              ${recommended ? '<span class="channel-badge recommended-badge">Recommended</span>' : ''}
+            </div>
+            <div class="version-details">
+              <span>${version.game_versions ? this.escapeHtml(version.game_versions.join(', ')) : 'Unknown'}</span>
+              <span>${version.loaders ? this.escapeHtml(version.loaders.join(', ')) : 'Unknown'}</span>
+              <span>${this.formatDate(version.date_published)}</span>
+            </div>
+            ${version.changelogHtml || dependencies.length > 0 ? `
+              <details class="version-more">
+                <summary>Changelog${dependencies.length > 0 ? ` and ${dependencies.length} ${dependencies.length === 1 ? 'dependency' : 'dependencies'}` : ''}</summary>
+                ${dependencies.length > 0 ? `
+                  <ul class="version-dependencies">
+                    ${dependencies.map(dependency => `
+                      <li>
+                        <strong>${this.escapeHtml(this.getDependencyName(dependency))}</strong>
+                        <span class="plan-detail">${this.escapeHtml(dependency.dependency_type)}</span>
+                      </li>
+                    `).join('')}
+                  </ul>
+                ` : ''}
+                <div class="markdown-body">${version.changelogHtml || '<p>No changelog</p>'}</div>
+              </details>
+            ` : ''}
+          </div>
+          <div class="version-actions">
+            ${files.length > 1 ? `
+              <select class="filter-select version-file-select" title="File to install">
+                ${files.map((file, index) => `<option value="${this.escapeHtml(file.filename)}">${this.escapeHtml(file.filename)}${index === 0 ? ' (primary)' : ''}</option>`).join('')}
+              </select>
+            ` : ''}
+            <button class="primary-btn download-btn" data-version-id="${this.escapeHtml(version.id)}">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>
+              </svg>
+              ${projectType === 'modpack' ? 'Install as Profile' : 'Download'}
+            </button>
+          </div>
         </div>
       `;
+    }).join('');
 
-      // Add delete functionality
-      const deleteBtn = modCard.querySelector('.delete-mod-btn');
-      deleteBtn.addEventListener('click', async (e) => {
+    list.querySelectorAll('.download-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
         e.preventDefault();
-        
-        if (confirm(`Are you sure you want to delete ${mod.name}?`)) {
-          const originalHTML = deleteBtn.innerHTML;
-          deleteBtn.innerHTML = '<div class="spinner" style="width: 16px; height: 16px;"></div> Deleting...';
-          deleteBtn.disabled = true;
-          
-          try {
-            const result = await electronAPI.deleteMod(mod.path);
-            
-            if (result.success) {
-              await this.loadInstalledMods();
-              this.showSuccess('Mod deleted successfully');
-            } else {
-              this.showError('Failed to delete mod: ' + result.error);
-              deleteBtn.innerHTML = originalHTML;
-              deleteBtn.disabled = false;
+        const versionData = this.detailsVersions.find(version => version.id === btn.dataset.versionId);
+        const files = versionData ? this.getVersionFiles(versionData) : [];
+        if (files.length === 0) return;
+
+        const fileSelect = btn.parentElement.querySelector('.version-file-select');
+        const filename = fileSelect ? fileSelect.value : files[0].filename;
+
+        // Modpacks become their own profile, so only they skip the check
+        if (projectType !== 'modpack' && !this.isCompatibleVersion(versionData)) {
+          const profile = this.getDetailsProfile();
+          const target = [profile.gameVersion, profile.loader].filter(Boolean).join(' ');
+          const built = [(versionData.game_versions || []).join(', '), (versionData.loaders || []).join(', ')].filter(Boolean).join(' / ');
+          if (!confirm(`${versionData.version_number} is for ${built}, but ${profile.name} uses ${target}. Install it anyway?`)) return;
+        }
+
+        if (projectType === 'modpack') {
+          await this.installModpack(versionData, filename);
+        } else if (projectType === 'mod') {
+          await this.showInstallPlan(versionData, filename);
+        } else {
+          await this.installPack(this.detailsProject, versionData, filename, projectType);
+        }
+      });
+    });
+  }
+
+  getDependencyName(dependency) {
+    const project = this.detailsDependencies[dependency.project_id];
+    if (project) return project.title;
+    return dependency.file_name || dependency.project_id || 'Unknown project';
+  }
+
+  async showInstallPlan(versionData, filename, includeOptional = []) {
+    const versions = document.getElementById('modal-versions');
+    versions.innerHTML = '<div class="loading"><div class="spinner"></div><span>Resolving dependencies...</span></div>';
+
+    let result;
+    try {
+      result = await electronAPI.resolveInstallPlan(versionData, filename, includeOptional, this.detailsProvider);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      versions.innerHTML = `<div class="error">Failed to resolve dependencies: ${this.escapeHtml(result.error)}</div>`;
+      return;
+    }
+
+    const { plan } = result;
+    const blocked = plan.conflicts.length > 0;
+    const renderItem = (item, detail) => `
+      <li>
+        <strong>${this.escapeHtml(item.name)}</strong>
+        ${item.version ? `<span>${this.escapeHtml(item.version.version_number)}</span>` : ''}
+        ${detail ? `<span class="plan-detail">${this.escapeHtml(detail)}</span>` : ''}
+      </li>
+    `;
+
+    versions.innerHTML = `
+      <h3>Install Plan</h3>
+      <div class="install-plan">
+        ${blocked ? `
+          <div class="plan-section plan-conflicts">
+            <h4>Cannot install</h4>
+            <ul>${plan.conflicts.map(c => `<li>${this.escapeHtml(c.message)}</li>`).join('')}</ul>
+          </div>
+        ` : ''}
+        <div class="plan-section">
+          <h4>Will be added (${plan.toInstall.length})</h4>
+          <ul>${plan.toInstall.map(item => renderItem(item, item.requiredByName ? `required by ${item.requiredByName}` : '')).join('')}</ul>
+        </div>
+        ${plan.replace.length > 0 ? `
+          <div class="plan-section">
+            <h4>Will be replaced</h4>
+            <ul>${plan.replace.map(item => renderItem(item, `${item.fileName}, backed up first`)).join('')}</ul>
+          </div>
+        ` : ''}
+        ${plan.satisfied.length > 0 ? `
+          <div class="plan-section">
+            <h4>Already installed</h4>
+            <ul>${plan.satisfied.map(item => renderItem(item, item.fileName)).join('')}</ul>
+          </div>
+        ` : ''}
+        ${plan.optional.length > 0 ? `
+          <div class="plan-section">
+            <h4>Optional dependencies</h4>
+            ${plan.optional.map(item => `
+              <label class="plan-optional">
+                <input type="checkbox" data-project="${this.escapeHtml(item.projectId)}" ${item.selected ? 'checked' : ''}>
+                <strong>${this.escapeHtml(item.name)}</strong>
+                <span class="plan-detail">suggested by ${this.escapeHtml(item.requiredByName)}</span>
+              </label>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+      <div class="modal-actions">
+        <button class="secondary-btn" id="cancel-install-plan">Back</button>
+        <button class="primary-btn download-btn" id="confirm-install-plan" ${blocked ? 'disabled' : ''}>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+            <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>
+          </svg>
+          Install ${plan.toInstall.length} ${plan.toInstall.length === 1 ? 'mod' : 'mods'}
+        </button>
+      </div>
+    `;
+
+    versions.querySelectorAll('.plan-optional input').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        const selected = Array.from(versions.querySelectorAll('.plan-optional input:checked'))
+          .map(input => input.dataset.project);
+        this.showInstallPlan(versionData, filename, selected);
+      });
+    });
+
+    document.getElementById('cancel-install-plan').addEventListener('click', () => {
+      this.showModDetails(versionData.project_id, this.detailsProvider, this.detailsType);
+    });
+
+    document.getElementById('confirm-install-plan').addEventListener('click', () => {
+      this.installPlan(plan.toInstall);
+    });
+  }
+
+  // Packs have no dependencies to resolve; data packs only need a world
+  async installPack(project, versionData, filename, projectType) {
+    const item = {
+      projectId: project.id,
+      name: project.title,
+      provider: this.detailsProvider,
+      version: versionData,
+      file: versionData.files.find(f => f.filename === filename),
+      projectType
+    };
+
+    if (projectType !== 'datapack') {
+      await this.installPlan([item]);
+      return;
+    }
+
+    const versions = document.getElementById('modal-versions');
+    const result = await electronAPI.getWorlds();
+    if (!result.success || result.worlds.length === 0) {
+      versions.innerHTML = `<div class="error">${result.success ? 'This profile has no worlds yet; create one in the game first' : this.escapeHtml(result.error)}</div>`;
+      return;
+    }
+
+    versions.innerHTML = `
+      <h3>Add ${this.escapeHtml(project.title)} to a world</h3>
+      <div class="world-picker">
+        <select id="datapack-world" class="filter-select">
+          ${result.worlds.map(world => `<option value="${this.escapeHtml(world)}">${this.escapeHtml(world)}</option>`).join('')}
+        </select>
+      </div>
+      <div class="modal-actions">
+        <button class="secondary-btn" id="cancel-world-picker">Back</button>
+        <button class="primary-btn" id="confirm-world-picker">Install</button>
+      </div>
+    `;
+
+    document.getElementById('cancel-world-picker').addEventListener('click', () => {
+      this.showModDetails(project.id, this.detailsProvider, projectType);
+    });
+
+    document.getElementById('confirm-world-picker').addEventListener('click', () => {
+      this.installPlan([{ ...item, world: document.getElementById('datapack-world').value }]);
+    });
+  }
+
+  // The pack is downloaded and imported as a new profile
+  async installModpack(versionData, filename) {
+    this.closeModal();
+    this.showSuccess(`Installing ${versionData.name} as a new profile...`);
+
+    try {
+      const result = await electronAPI.installModpack(versionData, filename, this.detailsProvider);
+
+      if (result.success) {
+        this.showSuccess(`Created profile ${result.name} with ${result.modCount} mods`);
+        await this.loadProfiles();
+      } else {
+        this.showError('Failed to install modpack: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to install modpack: ' + error.message);
+    }
+  }
+
+  // The files go through the download queue, so the modal closes right
+  // away and progress shows in the Downloads tab
+  async installPlan(items) {
+    this.closeModal();
+    this.showSuccess(items.length === 1 ? `Downloading ${items[0].name}...` : `Downloading ${items.length} mods...`);
+
+    try {
+      const result = await electronAPI.installPlan(items);
+      
+      if (result.queued) {
+        this.showSuccess(`You're offline; ${items.length === 1 ? items[0].name : `${items.length} mods`} will be installed when you go back online`);
+        await this.loadOfflineStatus();
+      } else if (result.success) {
+        this.showSuccess(items.length === 1 ? `${items[0].name} downloaded successfully!` : `${items.length} mods downloaded successfully!`);
+        if (this.currentTab === 'installed') {
+          await this.loadInstalledContent();
+        }
+      } else {
+        this.showError('Download failed: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Download failed: ' + error.message);
+    }
+  }
+
+  async saveNetworkSettings() {
+    const result = await electronAPI.setNetworkSettings({
+      apiBaseUrl: document.getElementById('api-base-url-setting').value,
+      proxy: document.getElementById('proxy-setting').value
+    });
+
+    if (result.success) {
+      this.settings = result.settings;
+      this.showSuccess('Network settings applied');
+    } else {
+      this.showError('Failed to apply network settings: ' + result.error);
+    }
+  }
+
+  async setOfflineMode(offline) {
+    await this.saveSettings({ offlineMode: offline });
+    await this.loadOfflineStatus();
+    this.showSuccess(offline ? 'Offline mode on: showing cached data' : 'Back online');
+  }
+
+  async loadOfflineStatus() {
+    const status = await electronAPI.getOfflineStatus();
+    if (!status.success) return;
+
+    const toggle = document.getElementById('offline-toggle');
+    toggle.classList.toggle('offline', status.offline);
+    document.getElementById('offline-label').textContent = status.offline
+      ? `Offline${status.pendingInstalls > 0 ? ` · ${status.pendingInstalls} queued` : ''}`
+      : 'Online';
+    document.getElementById('offline-mode-setting').checked = status.offline;
+  }
+
+  // staleSince is set when some of the data came from the cache without
+  // being checked against the server
+  showStaleNotice(element, staleSince) {
+    element.textContent = staleSince ? this.getStaleText(staleSince) : '';
+    element.classList.toggle('hidden', !staleSince);
+  }
+
+  getStaleText(staleSince) {
+    return `${this.settings.offlineMode ? 'Offline' : 'Could not reach the server'}: showing cached data from ${new Date(staleSince).toLocaleString()}`;
+  }
+
+  loadInstalledContent() {
+    document.querySelectorAll('#installed-tab .mod-only').forEach(element => {
+      element.classList.toggle('hidden', this.installedSection !== 'mod');
+    });
+
+    return this.installedSection === 'mod'
+      ? this.loadInstalledMods()
+      : this.loadInstalledPacks(this.installedSection);
+  }
+
+  async loadInstalledPacks(projectType) {
+    const container = document.getElementById('installed-mods');
+
+    try {
+      const result = await electronAPI.getInstalledPacks(projectType);
+      if (this.installedSection !== projectType) return;
+
+      if (result.success) {
+        this.displayInstalledPacks(result.packs, projectType);
+      } else {
+        container.innerHTML = `<div class="error">Failed to load installed ${PROJECT_TYPE_NOUNS[projectType]}: ${this.escapeHtml(result.error)}</div>`;
+      }
+    } catch (error) {
+      container.innerHTML = `<div class="error">Failed to load installed ${PROJECT_TYPE_NOUNS[projectType]}: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  displayInstalledPacks(packs, projectType) {
+    const container = document.getElementById('installed-mods');
+    const noun = PROJECT_TYPE_NOUNS[projectType];
+
+    if (packs.length === 0) {
+      container.innerHTML = `<div class="no-mods">No ${noun} installed yet. Browse for some to get started!</div>`;
+      return;
+    }
+
+    container.innerHTML = '';
+
+    packs.forEach(pack => {
+      const card = document.createElement('div');
+      card.className = 'installed-card';
+
+      card.innerHTML = `
+        <img class="installed-icon" src="${this.getDefaultIcon()}" alt="">
+        <div class="installed-info">
+          <h3>${this.escapeHtml(pack.title || pack.name)}</h3>
+          <p class="installed-meta">
+            ${pack.version ? `<span>v${this.escapeHtml(pack.version)}</span>` : ''}
+            ${pack.world ? `<span class="loader-badge">${this.escapeHtml(pack.world)}</span>` : ''}
+          </p>
+          <p title="${this.escapeHtml(pack.path)}">${this.escapeHtml(pack.name)} · Size: ${this.formatFileSize(pack.size)}</p>
+        </div>
+        <div class="installed-actions">
+          <button class="danger-btn delete-mod-btn">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M9,3V4H4V6H5V19A2,2 0 0,0 7,21H17A2,2 0 0,0 19,19V6H20V4H15V3H9M7,6H17V19H7V6M9,8V17H11V8H9M13,8V17H15V8H13Z"/>
+            </svg>
+            Delete
+          </button>
+        </div>
+      `;
+
+      card.querySelector('.delete-mod-btn').addEventListener('click', async () => {
+        if (!confirm(`Are you sure you want to delete ${pack.name}?`)) return;
+
+        try {
+          const result = await electronAPI.deleteMod(pack.path);
+          if (result.success) {
+            this.showSuccess(`Deleted ${pack.name}`);
+            await this.loadInstalledPacks(projectType);
+          } else {
+            this.showError('Failed to delete: ' + result.error);
+          }
+        } catch (error) {
+          this.showError('Failed to delete: ' + error.message);
+        }
+      });
+
+      container.appendChild(card);
+    });
+  }
+
+  async loadInstalledMods() {
+    const container = document.getElementById('installed-mods');
+    
+    try {
+      const result = await electronAPI.getInstalledMods();
+      
+      if (result.success) {
+        this.installedMods = result.mods;
+        const fileNames = new Set(this.installedMods.map(mod => mod.fileName));
+        this.selectedMods = new Set([...this.selectedMods].filter(fileName => fileNames.has(fileName)));
+        if (this.installedSection === 'mod') {
+          this.displayInstalledMods();
+        }
+      } else {
+        container.innerHTML = `<div class="error">Failed to load installed mods: ${result.error}</div>`;
+      }
+    } catch (error) {
+      container.innerHTML = `<div class="error">Failed to load installed mods: ${error.message}</div>`;
+    }
+  }
+
+  displayInstalledMods() {
+    const container = document.getElementById('installed-mods');
+    
+    this.updateSelectionActions();
+
+    if (this.installedMods.length === 0) {
+      container.innerHTML = '<div class="no-mods">No mods installed yet. Browse and download some mods to get started!</div>';
+      return;
+    }
+
+    container.innerHTML = '';
+    
+    this.installedMods.forEach(mod => {
+      const modCard = document.createElement('div');
+      modCard.className = `installed-card${mod.disabled ? ' disabled' : ''}`;
+      
+      const meta = mod.metadata;
+      const iconUrl = meta && meta.iconUrl ? meta.iconUrl : this.getDefaultIcon();
+      
+      modCard.innerHTML = `
+        <input type="checkbox" class="installed-select" title="Select" ${this.selectedMods.has(mod.fileName) ? 'checked' : ''}>
+        <img class="installed-icon" src="${iconUrl}" alt="" onerror="this.src='${this.getDefaultIcon()}'">
+        <div class="installed-info">
+          <h3>${this.escapeHtml(meta ? meta.displayName : mod.name)}${mod.disabled ? ' <span class="disabled-badge">Disabled</span>' : ''}</h3>
+          ${meta ? `
+            <p class="installed-meta">
+              <span>${this.escapeHtml(meta.modId)}</span>
+              ${meta.version ? `<span>v${this.escapeHtml(meta.version)}</span>` : ''}
+              <span class="loader-badge">${this.escapeHtml(meta.loader)}</span>
+            </p>
+            ${meta.authors && meta.authors.length > 0 ? `<p>By ${this.escapeHtml(meta.authors.join(', '))}</p>` : ''}
+          ` : ''}
+          <p title="${this.escapeHtml(mod.name)}">${meta ? `${this.escapeHtml(mod.name)} · ` : ''}Size: ${this.formatFileSize(mod.size)}</p>
+        </div>
+        <div class="installed-actions">
+          <button class="secondary-btn toggle-mod-btn">${mod.disabled ? 'Enable' : 'Disable'}</button>
+          <button class="danger-btn delete-mod-btn" data-path="${mod.path}">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M9,3V4H4V6H5V19A2,2 0 0,0 7,21H17A2,2 0 0,0 19,19V6H20V4H15V3H9M7,6H17V19H7V6M9,8V17H11V8H9M13,8V17H15V8H13Z"/>
+            </svg>
+            Delete
+          </button>
+        </div>
+      `;
+
+      modCard.querySelector('.installed-select').addEventListener('change', (e) => {
+        if (e.target.checked) {
+          this.selectedMods.add(mod.fileName);
+        } else {
+          this.selectedMods.delete(mod.fileName);
+        }
+        this.updateSelectionActions();
+      });
+
+      modCard.querySelector('.toggle-mod-btn').addEventListener('click', () => {
+        this.setModsEnabled([mod], mod.disabled);
+      });
+
+      // Add delete functionality
+      const deleteBtn = modCard.querySelector('.delete-mod-btn');
+      deleteBtn.addEventListener('click', async (e) => {
+        e.preventDefault();
+        
+        if (confirm(`Are you sure you want to delete ${mod.name}?`)) {
+          const originalHTML = deleteBtn.innerHTML;
+          deleteBtn.innerHTML = '<div class="spinner" style="width: 16px; height: 16px;"></div> Deleting...';
+          deleteBtn.disabled = true;
+          
+          try {
+            const result = await electronAPI.deleteMod(mod.path);
+            
+            if (result.success) {
+              await this.loadInstalledMods();
+              this.showSuccess('Mod deleted successfully');
+            } else {
+              this.showError('Failed to delete mod: ' + result.error);
+              deleteBtn.innerHTML = originalHTML;
+              deleteBtn.disabled = false;
             }
           } catch (error) {
             this.showError('Failed to delete mod: ' + error.message);
@@ -511,6 +1412,916 @@ class LumenModManager {
     });
   }
 
+  getSelectedMods() {
+    return this.installedMods.filter(mod => this.selectedMods.has(mod.fileName));
+  }
+
+  updateSelectionActions() {
+    const count = this.getSelectedMods().length;
+    document.getElementById('installed-selection-count').textContent = `${count} selected`;
+    ['enable-selected-btn', 'disable-selected-btn', 'isolate-selected-btn'].forEach(id => {
+      document.getElementById(id).disabled = count === 0;
+    });
+  }
+
+  async setModsEnabled(mods, enabled) {
+    const toChange = mods.filter(mod => mod.disabled === enabled);
+    if (toChange.length === 0) return;
+
+    try {
+      const result = await electronAPI.setModsEnabled(toChange.map(mod => mod.path), enabled);
+
+      if (result.success) {
+        this.showSuccess(`${enabled ? 'Enabled' : 'Disabled'} ${toChange.length} mod${toChange.length === 1 ? '' : 's'}`);
+      } else {
+        this.showError(`Failed to ${enabled ? 'enable' : 'disable'} mods: ${result.error}`);
+      }
+    } catch (error) {
+      this.showError(`Failed to ${enabled ? 'enable' : 'disable'} mods: ${error.message}`);
+    }
+
+    await this.loadInstalledMods();
+  }
+
+  // Keep only the selected mods enabled, for bisecting a crash
+  async isolateSelectedMods() {
+    const toEnable = this.installedMods.filter(mod => this.selectedMods.has(mod.fileName) && mod.disabled);
+    const toDisable = this.installedMods.filter(mod => !this.selectedMods.has(mod.fileName) && !mod.disabled);
+
+    try {
+      const results = [];
+      if (toDisable.length > 0) {
+        results.push(await electronAPI.setModsEnabled(toDisable.map(mod => mod.path), false));
+      }
+      if (toEnable.length > 0) {
+        results.push(await electronAPI.setModsEnabled(toEnable.map(mod => mod.path), true));
+      }
+
+      const failed = results.filter(result => !result.success);
+      if (failed.length > 0) {
+        this.showError('Failed to change some mods: ' + failed.map(result => result.error).join(', '));
+      } else {
+        this.showSuccess(`Only the ${this.selectedMods.size} selected mod${this.selectedMods.size === 1 ? ' is' : 's are'} enabled now`);
+      }
+    } catch (error) {
+      this.showError('Failed to change mods: ' + error.message);
+    }
+
+    await this.loadInstalledMods();
+  }
+
+  async loadProviders() {
+    try {
+      const result = await electronAPI.getProviders();
+      if (result.success) {
+        this.providers = result.providers;
+        this.displayProviders();
+      }
+    } catch (error) {
+      console.error('Failed to load mod sources:', error);
+    }
+  }
+
+  displayProviders() {
+    const select = document.getElementById('mod-source');
+    const selected = select.value;
+    select.innerHTML = this.providers.map(provider => `
+      <option value="${this.escapeHtml(provider.id)}">${this.escapeHtml(provider.name)}</option>
+    `).join('');
+    if (this.providers.some(provider => provider.id === selected)) {
+      select.value = selected;
+    }
+
+    const list = document.getElementById('providers-list');
+    list.innerHTML = '';
+    this.providers.forEach(provider => {
+      const item = document.createElement('div');
+      item.className = 'provider-item';
+      item.innerHTML = `
+        <div>
+          <strong>${this.escapeHtml(provider.name)}</strong>
+          <span>${this.escapeHtml(provider.folderPath || provider.baseUrl || '')}</span>
+        </div>
+        ${provider.id !== 'modrinth' ? '<button class="danger-btn remove-provider-btn">Remove</button>' : ''}
+      `;
+
+      const removeBtn = item.querySelector('.remove-provider-btn');
+      if (removeBtn) {
+        removeBtn.addEventListener('click', () => this.removeProvider(provider.id));
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  async addProvider(config) {
+    try {
+      const result = await electronAPI.addProvider(config);
+      
+      if (result.success) {
+        this.providers = result.providers;
+        this.displayProviders();
+        this.showSuccess('Mod source added');
+        return true;
+      } else if (!result.canceled) {
+        this.showError('Failed to add mod source: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to add mod source: ' + error.message);
+    }
+    return false;
+  }
+
+  async removeProvider(providerId) {
+    try {
+      const result = await electronAPI.removeProvider(providerId);
+      
+      if (result.success) {
+        this.providers = result.providers;
+        this.displayProviders();
+      } else {
+        this.showError('Failed to remove mod source: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to remove mod source: ' + error.message);
+    }
+  }
+
+  async loadProfiles() {
+    try {
+      const result = await electronAPI.getProfiles();
+      
+      if (result.success) {
+        this.profiles = result.profiles;
+        this.currentProfile = result.currentProfile;
+        this.manageableFolders = result.manageableFolders || [];
+        this.updateProfileSelect();
+        this.displayProfiles();
+        this.fillSearchFilters();
+      } else {
+        this.showError('Failed to load profiles: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to load profiles: ' + error.message);
+    }
+  }
+
+  async loadGameTags() {
+    try {
+      const result = await electronAPI.getGameTags();
+      if (result.success) {
+        this.gameTags = result;
+        this.fillSearchFilters();
+      }
+    } catch (error) {
+      console.error('Failed to load game versions and loaders:', error);
+    }
+  }
+
+  // <option>s for a game version select: releases, then snapshots.
+  // selected is added if the lists don't have it, so a profile's version
+  // never silently changes
+  renderGameVersionOptions(selected, emptyLabel = null) {
+    const { releases = [], snapshots = [] } = this.gameTags ? this.gameTags.gameVersions : {};
+    const option = version => `<option value="${this.escapeHtml(version)}" ${version === selected ? 'selected' : ''}>${this.escapeHtml(version)}</option>`;
+
+    const known = releases.includes(selected) || snapshots.includes(selected);
+    return [
+      emptyLabel !== null ? `<option value="" ${!selected ? 'selected' : ''}>${this.escapeHtml(emptyLabel)}</option>` : '',
+      selected && !known ? option(selected) : '',
+      releases.length > 0 ? `<optgroup label="Releases">${releases.map(option).join('')}</optgroup>` : '',
+      snapshots.length > 0 ? `<optgroup label="Snapshots">${snapshots.map(option).join('')}</optgroup>` : ''
+    ].join('');
+  }
+
+  renderLoaderOptions(selected, emptyLabel = null) {
+    const loaders = this.gameTags ? [...this.gameTags.loaders] : [];
+    if (selected && !loaders.some(loader => loader.id === selected)) {
+      loaders.unshift({ id: selected, name: selected });
+    }
+
+    return (emptyLabel !== null ? `<option value="" ${!selected ? 'selected' : ''}>${this.escapeHtml(emptyLabel)}</option>` : '') +
+      loaders.map(loader => `<option value="${this.escapeHtml(loader.id)}" ${loader.id === selected ? 'selected' : ''}>${this.escapeHtml(loader.name)}</option>`).join('');
+  }
+
+  // The search filters follow the active profile: switching profiles
+  // presets them to its version and loader, otherwise the user's choice
+  // is kept when the lists are refreshed
+  fillSearchFilters() {
+    const versionSelect = document.getElementById('minecraft-version');
+    const loaderSelect = document.getElementById('mod-loader');
+    const profile = this.profiles[this.currentProfile] || {};
+    const presetForProfile = this.filterProfile !== this.currentProfile;
+
+    const version = presetForProfile ? profile.gameVersion || '' : versionSelect.value;
+    const loader = presetForProfile ? profile.loader || '' : loaderSelect.value;
+    versionSelect.innerHTML = this.renderGameVersionOptions(version, 'All Versions');
+    loaderSelect.innerHTML = this.renderLoaderOptions(loader, 'All Loaders');
+
+    if (this.profiles[this.currentProfile]) {
+      this.filterProfile = this.currentProfile;
+    }
+  }
+
+  updateProfileSelect() {
+    const select = document.getElementById('profile-select');
+    select.innerHTML = Object.entries(this.profiles).map(([id, profile]) => `
+      <option value="${this.escapeHtml(id)}" ${id === this.currentProfile ? 'selected' : ''}>${this.escapeHtml(profile.name)}</option>
+    `).join('');
+  }
+
+  displayProfiles() {
+    const container = document.getElementById('profiles-grid');
+    container.innerHTML = '';
+
+    Object.entries(this.profiles).forEach(([id, profile]) => {
+      const isActive = id === this.currentProfile;
+      const card = document.createElement('div');
+      card.className = `profile-card ${isActive ? 'active' : ''}`;
+
+      card.innerHTML = `
+        <div class="profile-card-header">
+          <div class="profile-info">
+            <h3>${this.escapeHtml(profile.name)}</h3>
+            <p>${this.escapeHtml(profile.description || 'No description')}</p>
+          </div>
+          <div class="profile-actions">
+            <button class="icon-btn edit-profile-btn" title="Edit Profile">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M20.71,7.04C21.1,6.65 21.1,6 20.71,5.63L18.37,3.29C18,2.9 17.35,2.9 16.96,3.29L15.12,5.12L18.87,8.87M3,17.25V21H6.75L17.81,9.93L14.06,6.18L3,17.25Z"/>
+              </svg>
+            </button>
+            <button class="icon-btn profile-folders-btn" title="${isActive ? 'Switch to another profile to change managed folders' : 'Managed Folders'}" ${isActive ? 'disabled' : ''}>
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M10,4H4C2.89,4 2,4.89 2,6V18A2,2 0 0,0 4,20H20A2,2 0 0,0 22,18V8C22,6.89 21.1,6 20,6H12L10,4Z"/>
+              </svg>
+            </button>
+            <button class="icon-btn lockfile-btn" title="Lockfile">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M12,17A2,2 0 0,0 14,15C14,13.89 13.1,13 12,13A2,2 0 0,0 10,15A2,2 0 0,0 12,17M18,8A2,2 0 0,1 20,10V20A2,2 0 0,1 18,22H6A2,2 0 0,1 4,20V10C4,8.89 4.9,8 6,8H7V6A5,5 0 0,1 12,1A5,5 0 0,1 17,6V8H18M12,3A3,3 0 0,0 9,6V8H15V6A3,3 0 0,0 12,3Z"/>
+              </svg>
+            </button>
+            <button class="icon-btn backups-btn" title="Mod Backups">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M13.5,8H12V13L16.28,15.54L17,14.33L13.5,12.25V8M13,3A9,9 0 0,0 4,12H1L4.96,16.03L9,12H6A7,7 0 0,1 13,5A7,7 0 0,1 20,12A7,7 0 0,1 13,19C11.07,19 9.32,18.21 8.06,16.94L6.64,18.36C8.27,20 10.5,21 13,21A9,9 0 0,0 22,12A9,9 0 0,0 13,3"/>
+              </svg>
+            </button>
+            <button class="icon-btn export-profile-btn" title="Export Profile">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M5,20H19V18H5M19,9H15V3H9V9H5L12,16L19,9Z"/>
+              </svg>
+            </button>
+            ${!isActive && id !== 'default' ? `
+              <button class="icon-btn delete-profile-btn" title="Delete Profile">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M9,3V4H4V6H5V19A2,2 0 0,0 7,21H17A2,2 0 0,0 19,19V6H20V4H15V3H9M7,6H17V19H7V6M9,8V17H11V8H9M13,8V17H15V8H13Z"/>
+                </svg>
+              </button>
+            ` : ''}
+          </div>
+        </div>
+        <div class="profile-meta">
+          <span>${this.escapeHtml(profile.gameVersion || 'Any version')} · ${this.escapeHtml(profile.loader || 'Any loader')}${profile.modpack ? ' · Modpack' : ''}</span>
+          ${isActive ? '<span class="profile-status active">Active</span>' : ''}
+        </div>
+        <div class="profile-folders">
+          ${profile.managedFolders && profile.managedFolders.length > 0
+            ? `Manages ${profile.managedFolders.map(name => this.escapeHtml(name)).join(', ')}`
+            : 'Shares all game folders'}
+        </div>
+      `;
+
+      card.addEventListener('click', () => {
+        if (!isActive) {
+          this.switchProfile(id);
+        }
+      });
+
+      card.querySelector('.edit-profile-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openEditProfileModal(id);
+      });
+
+      card.querySelector('.profile-folders-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openProfileFoldersModal(id);
+      });
+
+      card.querySelector('.lockfile-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openLockfileModal(id);
+      });
+
+      card.querySelector('.backups-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openBackupsModal(id);
+      });
+
+      card.querySelector('.export-profile-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openExportProfileModal(id);
+      });
+
+      const deleteBtn = card.querySelector('.delete-profile-btn');
+      if (deleteBtn) {
+        deleteBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.openDeleteProfileModal(id);
+        });
+      }
+
+      container.appendChild(card);
+    });
+  }
+
+  async switchProfile(profileId) {
+    if (profileId === this.currentProfile) return;
+
+    try {
+      const result = await electronAPI.switchProfile(profileId);
+      
+      if (result.success) {
+        this.showSuccess(`Switched to ${this.profiles[profileId].name}`);
+      } else {
+        this.showError('Failed to switch profile: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to switch profile: ' + error.message);
+    }
+
+    await this.loadProfiles();
+    await this.loadInstalledContent();
+  }
+
+  openCreateProfileModal() {
+    document.getElementById('profile-name-input').value = '';
+    document.getElementById('profile-description-input').value = '';
+    // Start from the active profile's version and loader
+    const active = this.profiles[this.currentProfile] || {};
+    document.getElementById('profile-version-input').innerHTML = this.renderGameVersionOptions(active.gameVersion);
+    document.getElementById('profile-loader-input').innerHTML = this.renderLoaderOptions(active.loader);
+    document.getElementById('copy-current-mods').checked = false;
+    document.getElementById('create-profile-folders').innerHTML = this.renderFolderCheckboxes([]);
+    document.getElementById('create-profile-modal').classList.remove('hidden');
+    document.getElementById('profile-name-input').focus();
+  }
+
+  async createProfile() {
+    const name = document.getElementById('profile-name-input').value.trim();
+    if (!name) {
+      this.showError('Please enter a profile name');
+      return;
+    }
+
+    try {
+      const result = await electronAPI.createProfile({
+        name,
+        description: document.getElementById('profile-description-input').value.trim(),
+        gameVersion: document.getElementById('profile-version-input').value,
+        loader: document.getElementById('profile-loader-input').value,
+        copyCurrent: document.getElementById('copy-current-mods').checked,
+        managedFolders: this.getCheckedValues('create-profile-folders')
+      });
+
+      if (result.success) {
+        document.getElementById('create-profile-modal').classList.add('hidden');
+        this.showSuccess('Profile created successfully');
+        await this.loadProfiles();
+      } else {
+        this.showError('Failed to create profile: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to create profile: ' + error.message);
+    }
+  }
+
+  openEditProfileModal(profileId) {
+    const profile = this.profiles[profileId];
+    this.profileToEdit = profileId;
+    document.getElementById('edit-profile-name').value = profile.name;
+    document.getElementById('edit-profile-description').value = profile.description || '';
+    document.getElementById('edit-profile-version').innerHTML = this.renderGameVersionOptions(profile.gameVersion);
+    document.getElementById('edit-profile-loader').innerHTML = this.renderLoaderOptions(profile.loader);
+    document.getElementById('edit-profile-modal').classList.remove('hidden');
+    document.getElementById('edit-profile-name').focus();
+  }
+
+  async saveProfileEdits() {
+    const profileId = this.profileToEdit;
+    const name = document.getElementById('edit-profile-name').value.trim();
+    if (!name) {
+      this.showError('Please enter a profile name');
+      return;
+    }
+
+    try {
+      const result = await electronAPI.updateProfile(profileId, {
+        name,
+        description: document.getElementById('edit-profile-description').value.trim(),
+        gameVersion: document.getElementById('edit-profile-version').value,
+        loader: document.getElementById('edit-profile-loader').value
+      });
+
+      if (result.success) {
+        document.getElementById('edit-profile-modal').classList.add('hidden');
+        this.profileToEdit = null;
+        this.showSuccess('Profile updated');
+        // Preset the search filters again for the active profile's new values
+        if (profileId === this.currentProfile) {
+          this.filterProfile = null;
+        }
+        await this.loadProfiles();
+      } else {
+        this.showError('Failed to update profile: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to update profile: ' + error.message);
+    }
+  }
+
+  renderFolderCheckboxes(checked) {
+    return this.manageableFolders.map(folder => `
+      <label><input type="checkbox" value="${this.escapeHtml(folder)}" ${checked.includes(folder) ? 'checked' : ''}> ${this.escapeHtml(folder)}</label>
+    `).join('');
+  }
+
+  getCheckedValues(containerId) {
+    return Array.from(document.querySelectorAll(`#${containerId} input:checked`))
+      .map(input => input.value);
+  }
+
+  openProfileFoldersModal(profileId) {
+    const profile = this.profiles[profileId];
+    this.profileToEditFolders = profileId;
+    document.getElementById('profile-folders-name').textContent = profile.name;
+    document.getElementById('profile-folders-list').innerHTML = this.renderFolderCheckboxes(profile.managedFolders || []);
+    document.getElementById('profile-folders-modal').classList.remove('hidden');
+  }
+
+  async saveProfileFolders() {
+    const profileId = this.profileToEditFolders;
+
+    try {
+      const result = await electronAPI.setProfileFolders(profileId, this.getCheckedValues('profile-folders-list'));
+
+      if (result.success) {
+        document.getElementById('profile-folders-modal').classList.add('hidden');
+        this.profileToEditFolders = null;
+        this.showSuccess('Managed folders updated');
+        await this.loadProfiles();
+      } else {
+        this.showError('Failed to update managed folders: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to update managed folders: ' + error.message);
+    }
+  }
+
+  async openLockfileModal(profileId) {
+    this.lockfileProfile = profileId;
+    document.getElementById('lockfile-modal').classList.remove('hidden');
+    await this.refreshLockfile();
+  }
+
+  // Show the lockfile's state and a preview of what syncing would change
+  async refreshLockfile() {
+    const profileId = this.lockfileProfile;
+    const status = document.getElementById('lockfile-status');
+    const planContainer = document.getElementById('lockfile-plan');
+    const syncBtn = document.getElementById('confirm-lockfile-sync');
+
+    syncBtn.disabled = true;
+    syncBtn.textContent = 'Sync to Lockfile';
+    document.getElementById('lockfile-export-btn').disabled = true;
+    planContainer.innerHTML = '';
+    status.textContent = 'Loading...';
+
+    try {
+      const lockfile = await electronAPI.getLockfile(profileId);
+      if (!lockfile.success) {
+        status.textContent = lockfile.error;
+        return;
+      }
+
+      if (!lockfile.exists) {
+        status.textContent = `${this.profiles[profileId].name} has no lockfile yet. Update it from the current mods or import one.`;
+        return;
+      }
+
+      status.textContent = `${lockfile.modCount} mods pinned in ${lockfile.path}`;
+      document.getElementById('lockfile-export-btn').disabled = false;
+      planContainer.innerHTML = '<div class="loading"><div class="spinner"></div><span>Comparing mods...</span></div>';
+
+      const result = await electronAPI.previewLockfileSync(profileId);
+      if (!result.success) {
+        planContainer.innerHTML = `<div class="error">${this.escapeHtml(result.error)}</div>`;
+        return;
+      }
+
+      const { plan } = result;
+      const changes = plan.add.length + plan.replace.length + plan.remove.length + plan.toggle.length;
+      const renderItem = (item, detail) => `
+        <li>
+          <strong>${this.escapeHtml(item.name || item.fileName)}</strong>
+          ${item.version ? `<span>${this.escapeHtml(item.version)}</span>` : ''}
+          ${detail ? `<span class="plan-detail">${this.escapeHtml(detail)}</span>` : ''}
+        </li>
+      `;
+      const renderSection = (title, items, detail = () => '') => items.length > 0 ? `
+        <div class="plan-section">
+          <h4>${title} (${items.length})</h4>
+          <ul>${items.map(item => renderItem(item, detail(item))).join('')}</ul>
+        </div>
+      ` : '';
+
+      planContainer.innerHTML = `
+        ${plan.unavailable.length > 0 ? `
+          <div class="plan-section plan-conflicts">
+            <h4>Cannot download (${plan.unavailable.length})</h4>
+            <ul>${plan.unavailable.map(item => renderItem(item, item.reason)).join('')}</ul>
+          </div>
+        ` : ''}
+        ${renderSection('Will be added', plan.add)}
+        ${renderSection('Will be replaced', plan.replace, item => item.fileName)}
+        ${renderSection('Will be removed', plan.remove)}
+        ${renderSection('Will be enabled or disabled', plan.toggle, item => item.disabled ? 'disable' : 'enable')}
+        <p class="plan-detail">${changes === 0 ? 'The mods already match the lockfile' : `${plan.unchanged} mods already match`}</p>
+      `;
+      syncBtn.disabled = changes === 0;
+    } catch (error) {
+      status.textContent = error.message;
+    }
+  }
+
+  async writeLockfile() {
+    try {
+      const result = await electronAPI.writeLockfile(this.lockfileProfile);
+
+      if (result.success) {
+        this.showSuccess(result.unpinned.length > 0
+          ? `Lockfile updated; ${result.unpinned.length} mods have no download source and can only be matched by hash`
+          : 'Lockfile updated');
+      } else {
+        this.showError('Failed to update lockfile: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to update lockfile: ' + error.message);
+    }
+
+    await this.refreshLockfile();
+  }
+
+  async importLockfile() {
+    try {
+      const result = await electronAPI.importLockfile(this.lockfileProfile);
+
+      if (result.success) {
+        this.showSuccess(`Imported lockfile with ${result.modCount} mods`);
+      } else if (!result.canceled) {
+        this.showError('Failed to import lockfile: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to import lockfile: ' + error.message);
+    }
+
+    await this.refreshLockfile();
+  }
+
+  async exportLockfile() {
+    try {
+      const result = await electronAPI.exportLockfile(this.lockfileProfile);
+
+      if (result.success) {
+        this.showSuccess('Lockfile exported');
+      } else if (!result.canceled) {
+        this.showError('Failed to export lockfile: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to export lockfile: ' + error.message);
+    }
+  }
+
+  async syncLockfile() {
+    const profileId = this.lockfileProfile;
+    document.getElementById('confirm-lockfile-sync').disabled = true;
+
+    try {
+      const result = await electronAPI.syncLockfile(profileId);
+
+      if (result.success) {
+        this.showSuccess(result.unavailable.length > 0
+          ? `Synced ${result.changed} mods; ${result.unavailable.length} could not be downloaded`
+          : `Synced ${result.changed} mods to the lockfile`);
+      } else {
+        this.showError('Failed to sync lockfile: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to sync lockfile: ' + error.message);
+    }
+
+    await this.refreshLockfile();
+    if (profileId === this.currentProfile) {
+      await this.loadInstalledMods();
+    }
+  }
+
+  async openBackupsModal(profileId) {
+    this.backupsProfile = profileId;
+    document.getElementById('backups-modal').classList.remove('hidden');
+    await this.refreshBackups();
+  }
+
+  async refreshBackups() {
+    const status = document.getElementById('backups-status');
+    const list = document.getElementById('backups-list');
+    list.innerHTML = '<div class="loading"><div class="spinner"></div><span>Loading backups...</span></div>';
+    status.textContent = '';
+
+    const result = await electronAPI.listModBackups(this.backupsProfile);
+    if (!result.success) {
+      list.innerHTML = `<div class="error">${this.escapeHtml(result.error)}</div>`;
+      return;
+    }
+
+    const { backups, retention } = result;
+    const totalSize = backups.reduce((sum, backup) => sum + backup.size, 0);
+    status.textContent = `${backups.length} backups using ${this.formatFileSize(totalSize)}. ` +
+      `Keeping ${retention.keepPerMod > 0 ? `the last ${retention.keepPerMod} per mod` : 'every backup'}` +
+      `${retention.maxTotalSizeMB > 0 ? `, up to ${retention.maxTotalSizeMB} MB` : ''}.`;
+
+    if (backups.length === 0) {
+      list.innerHTML = '<div class="no-mods">No backups yet. Jars are backed up here before they are updated or replaced.</div>';
+      return;
+    }
+
+    // Backups arrive newest first, so each group is too
+    const groups = new Map();
+    backups.forEach(backup => {
+      const key = backup.projectId || backup.fileName;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(backup);
+    });
+
+    list.innerHTML = [...groups.values()].map(group => `
+      <div class="plan-section">
+        <h4>${this.escapeHtml(group[0].name)}</h4>
+        <ul>
+          ${group.map(backup => `
+            <li class="backup-item">
+              <strong>${backup.version ? this.escapeHtml(backup.version) : this.escapeHtml(backup.fileName)}</strong>
+              <span class="plan-detail">
+                ${new Date(backup.createdAt).toLocaleString()} · ${this.formatFileSize(backup.size)}${backup.reason ? ` · before ${this.escapeHtml(backup.reason)}` : ''}
+              </span>
+              <span class="backup-actions">
+                <button class="secondary-btn" data-backup-action="restore" data-backup-id="${this.escapeHtml(backup.id)}">Restore</button>
+                <button class="secondary-btn" data-backup-action="delete" data-backup-id="${this.escapeHtml(backup.id)}">Delete</button>
+              </span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('');
+  }
+
+  async restoreBackup(backupId) {
+    const result = await electronAPI.restoreModBackup(backupId, this.backupsProfile);
+    if (!result.success) {
+      this.showError('Failed to restore backup: ' + result.error);
+      return;
+    }
+
+    this.showSuccess(`Restored ${result.fileName}${result.version ? ` (${result.version})` : ''}`);
+    await this.refreshBackups();
+    if (this.currentTab === 'installed') {
+      await this.loadInstalledContent();
+    }
+  }
+
+  async deleteBackup(backupId) {
+    const result = await electronAPI.deleteModBackup(backupId, this.backupsProfile);
+    if (!result.success) {
+      this.showError('Failed to delete backup: ' + result.error);
+      return;
+    }
+    await this.refreshBackups();
+  }
+
+  openDeleteProfileModal(profileId) {
+    this.profileToDelete = profileId;
+    document.getElementById('delete-profile-name').textContent = this.profiles[profileId].name;
+    document.getElementById('delete-profile-modal').classList.remove('hidden');
+  }
+
+  async deleteProfile() {
+    const profileId = this.profileToDelete;
+    document.getElementById('delete-profile-modal').classList.add('hidden');
+    this.profileToDelete = null;
+
+    try {
+      const result = await electronAPI.deleteProfile(profileId);
+      
+      if (result.success) {
+        this.showSuccess('Profile deleted');
+        await this.loadProfiles();
+      } else {
+        this.showError('Failed to delete profile: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to delete profile: ' + error.message);
+    }
+  }
+
+  async openExportProfileModal(profileId) {
+    const profile = this.profiles[profileId];
+    const summary = document.getElementById('export-profile-summary');
+    const folders = document.getElementById('export-folders');
+    const confirmBtn = document.getElementById('confirm-export-profile');
+
+    this.profileToExport = profileId;
+    document.getElementById('export-version-input').value = profile.modpack?.versionId || '1.0.0';
+    document.getElementById('export-loader-version-input').value = profile.modpack?.loaderVersion || '';
+    summary.innerHTML = '<div class="loading"><div class="spinner"></div><span>Checking mods...</span></div>';
+    folders.innerHTML = '';
+    confirmBtn.disabled = true;
+    document.getElementById('export-profile-modal').classList.remove('hidden');
+
+    try {
+      const result = await electronAPI.prepareMrpackExport(profileId);
+      
+      if (!result.success) {
+        summary.innerHTML = `<div class="error">${this.escapeHtml(result.error)}</div>`;
+        return;
+      }
+
+      summary.innerHTML = `
+        <p>${result.modrinthCount} mods will be downloaded from Modrinth, ${result.overrideMods.length} bundled with the pack.</p>
+        ${result.warnings.length > 0 ? `
+          <ul class="export-warnings">
+            ${result.warnings.map(w => `<li>${this.escapeHtml(w.message)}</li>`).join('')}
+          </ul>
+        ` : ''}
+      `;
+      folders.innerHTML = result.availableFolders.length > 0
+        ? result.availableFolders.map(folder => `
+            <label><input type="checkbox" value="${this.escapeHtml(folder)}"> ${this.escapeHtml(folder)}</label>
+          `).join('')
+        : '<span class="plan-detail">No config or pack folders found</span>';
+      confirmBtn.disabled = false;
+    } catch (error) {
+      summary.innerHTML = `<div class="error">${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  async exportProfile() {
+    const profileId = this.profileToExport;
+    const format = document.getElementById('export-format-select').value;
+    const options = {
+      versionId: document.getElementById('export-version-input').value.trim() || '1.0.0',
+      loaderVersion: document.getElementById('export-loader-version-input').value.trim(),
+      includeFolders: this.getCheckedValues('export-folders')
+    };
+
+    try {
+      const result = format === 'packwiz'
+        ? await electronAPI.exportPackwiz(profileId, options)
+        : await electronAPI.exportMrpack(profileId, options);
+
+      if (result.success) {
+        document.getElementById('export-profile-modal').classList.add('hidden');
+        this.showSuccess(result.warnings.length > 0
+          ? `Exported with ${result.warnings.length} warnings`
+          : 'Profile exported successfully');
+      } else if (!result.canceled) {
+        this.showError('Failed to export profile: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to export profile: ' + error.message);
+    }
+  }
+
+  showImportProgress(button, data) {
+    if (data.stage === 'downloading') {
+      button.innerHTML = `<div class="spinner" style="width: 16px; height: 16px;"></div> ${data.current}/${data.total}`;
+    } else {
+      button.innerHTML = '<div class="spinner" style="width: 16px; height: 16px;"></div> Finishing...';
+    }
+  }
+
+  async importModpack(format) {
+    const button = document.getElementById(`import-${format}-btn`);
+    const originalHTML = button.innerHTML;
+    button.disabled = true;
+
+    try {
+      const result = format === 'packwiz'
+        ? await electronAPI.importPackwiz()
+        : await electronAPI.importMrpack();
+      
+      if (result.success) {
+        this.showSuccess(`Modpack imported with ${result.modCount} mods`);
+        await this.loadProfiles();
+      } else if (!result.canceled) {
+        this.showError('Failed to import modpack: ' + result.error);
+      }
+    } catch (error) {
+      this.showError('Failed to import modpack: ' + error.message);
+    } finally {
+      button.innerHTML = originalHTML;
+      button.disabled = false;
+    }
+  }
+
+  async loadDownloads() {
+    try {
+      const result = await electronAPI.getDownloads();
+      this.downloads = new Map(result.downloads.map(item => [item.id, item]));
+      this.renderDownloads();
+    } catch (error) {
+      console.error('Failed to load downloads:', error);
+    }
+  }
+
+  renderDownloads() {
+    const items = [...this.downloads.values()].reverse();
+    const active = items.filter(item => !['completed', 'failed', 'cancelled'].includes(item.state));
+
+    const badge = document.getElementById('downloads-badge');
+    badge.textContent = active.length;
+    badge.classList.toggle('hidden', active.length === 0);
+    document.getElementById('downloads-summary').textContent = active.length > 0
+      ? `${active.length} in progress`
+      : '';
+
+    if (this.currentTab !== 'downloads') return;
+
+    const container = document.getElementById('downloads-list');
+    if (items.length === 0) {
+      container.innerHTML = '<div class="no-mods">No downloads yet.</div>';
+      return;
+    }
+
+    container.innerHTML = items.map(item => {
+      const percent = item.total ? Math.min(100, Math.round((item.received / item.total) * 100)) : 0;
+      const actions = [];
+      if (['queued', 'downloading', 'retrying'].includes(item.state)) actions.push(['pause', 'Pause']);
+      if (item.state === 'paused') actions.push(['resume', 'Resume']);
+      if (!['completed', 'failed', 'cancelled'].includes(item.state)) actions.push(['cancel', 'Cancel']);
+
+      return `
+        <div class="download-item ${item.state}">
+          <div class="download-info">
+            <div class="download-header">
+              <span class="download-name">${this.escapeHtml(item.name)}</span>
+              <span class="download-status">${this.getDownloadStatus(item)}</span>
+            </div>
+            <div class="progress-bar">
+              <div class="progress-fill" style="width: ${item.state === 'completed' ? 100 : percent}%"></div>
+            </div>
+            ${item.error && item.state !== 'completed' ? `<div class="download-error">${this.escapeHtml(item.error)}</div>` : ''}
+          </div>
+          ${actions.map(([action, label]) => `
+            <button class="secondary-btn" data-download-action="${action}" data-download-id="${item.id}">${label}</button>
+          `).join('')}
+        </div>
+      `;
+    }).join('');
+  }
+
+  getDownloadStatus(item) {
+    const size = item.total ? `${this.formatFileSize(item.received)} / ${this.formatFileSize(item.total)}` : this.formatFileSize(item.received);
+
+    switch (item.state) {
+      case 'queued': return 'Queued';
+      case 'downloading': return size;
+      case 'verifying': return 'Verifying...';
+      case 'paused': return `Paused at ${size}`;
+      case 'retrying': return `Retrying (attempt ${item.attempt}) in ${Math.max(0, Math.ceil((item.retryAt - Date.now()) / 1000))}s`;
+      case 'completed': return 'Done';
+      case 'failed': return 'Failed';
+      case 'cancelled': return 'Cancelled';
+      default: return item.state;
+    }
+  }
+
+  async controlDownload(id, action) {
+    const handlers = {
+      pause: electronAPI.pauseDownload,
+      resume: electronAPI.resumeDownload,
+      cancel: electronAPI.cancelDownload
+    };
+
+    const result = await handlers[action](id);
+    if (!result.success) {
+      this.showError(`Failed to ${action} download: ${result.error}`);
+    }
+  }
+
+  async clearFinishedDownloads() {
+    const result = await electronAPI.clearFinishedDownloads();
+    this.downloads = new Map(result.downloads.map(item => [item.id, item]));
+    this.renderDownloads();
+  }
+
   closeModal() {
     document.getElementById('mod-modal').classList.add('hidden');
   }
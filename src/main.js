@@ -8,11 +8,27 @@ app.commandLine.appendSwitch('disable-software-rasterizer');
 
 const { BrowserWindow, ipcMain, dialog, shell, Notification } = require('electron');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const fs = require('fs-extra');
-const axios = require('axios');
 
 // Import Update Manager
 const UpdateManager = require('./services/update-manager');
+const JarMetadataReader = require('./services/jar-metadata');
+const DependencyResolver = require('./services/dependency-resolver');
+const MrpackService = require('./services/mrpack');
+const LockfileService = require('./services/lockfile');
+const PackwizService = require('./services/packwiz');
+const ProviderRegistry = require('./services/providers/provider-registry');
+const ProfileSwitcher = require('./services/profile-switcher');
+const DownloadQueue = require('./services/download-queue');
+const BackupManager = require('./services/backup-manager');
+const ResponseCache = require('./services/response-cache');
+const HttpClient = require('./services/http-client');
+const { isModFile, isDisabledModFile, getModFileName, getFileNameForState } = require('./utils/mod-files');
+const gameTags = require('./utils/game-tags');
+const projectTypes = require('./utils/project-types');
+const { listOverrideFolders } = require('./utils/pack-files');
+const { renderMarkdown } = require('./utils/markdown');
 
 class LumenApp {
   constructor() {
@@ -20,6 +36,52 @@ class LumenApp {
     this.modsPath = null;
     this.settings = this.loadSettings();
     this.updateManager = null;
+    this.jarMetadata = new JarMetadataReader(path.join(app.getPath('userData'), 'cache'));
+    this.http = this.createHttpClient();
+    this.downloads = new DownloadQueue({ concurrency: this.settings.downloadConcurrency, http: this.http });
+    this.cache = new ResponseCache(path.join(app.getPath('userData'), 'cache'), { offline: this.settings.offlineMode, http: this.http });
+    this.providers = this.createProviderRegistry();
+    this.dependencyResolver = new DependencyResolver(this.providers);
+    this.mrpack = new MrpackService(this.providers, this.jarMetadata);
+    this.lockfiles = new LockfileService(this.providers);
+    this.packwiz = new PackwizService(this.providers);
+    this.profileSwitcher = new ProfileSwitcher(path.join(app.getPath('userData'), 'profile-switch'));
+    this.backups = new BackupManager(this.settings.backupRetention);
+  }
+
+  // A broken proxy setting shouldn't keep the app from starting
+  createHttpClient() {
+    try {
+      return new HttpClient({ proxy: this.settings.proxy });
+    } catch (error) {
+      console.error('Ignoring proxy setting:', error.message);
+      return new HttpClient();
+    }
+  }
+
+  // The API base URL can also come from LUMEN_API_URL, e.g. to test against
+  // a local stand-in server
+  getApiBaseUrl() {
+    return this.settings.apiBaseUrl || process.env.LUMEN_API_URL || null;
+  }
+
+  // Modrinth is always available; extra sources come from settings.providers
+  createProviderRegistry() {
+    const providers = new ProviderRegistry(
+      this.jarMetadata,
+      { downloads: this.downloads, cache: this.cache, http: this.http },
+      { apiBaseUrl: this.getApiBaseUrl() }
+    );
+
+    for (const config of this.settings.providers || []) {
+      try {
+        providers.registerFromConfig(config);
+      } catch (error) {
+        console.error(`Failed to register mod source ${config.id}:`, error);
+      }
+    }
+
+    return providers;
   }
 
   loadSettings() {
@@ -36,6 +98,10 @@ class LumenApp {
       theme: 'dark',
       autoUpdate: true,
       downloadLocation: 'mods-folder',
+      downloadConcurrency: 3,
+      backupRetention: { ...BackupManager.DEFAULT_RETENTION },
+      offlineMode: false,
+      pendingInstalls: [],
       showNotifications: true,
       compactView: false,
       currentProfile: 'default',
@@ -44,32 +110,172 @@ class LumenApp {
           name: 'Default Profile',
           description: 'Default mod configuration',
           createdAt: Date.now(),
-          gameVersion: '1.20.1',
-          loader: 'fabric'
+          gameVersion: gameTags.DEFAULT_GAME_VERSION,
+          loader: gameTags.DEFAULT_LOADER
         }
       }
     };
   }
 
   saveSettings() {
-    const settingsPath = path.join(app.getPath('userData'), 'settings.json');
     try {
-      fs.writeFileSync(settingsPath, JSON.stringify(this.settings, null, 2));
+      this.writeSettings();
     } catch (error) {
       console.error('Error saving settings:', error);
     }
   }
 
+  // Throws when the write fails, for callers that must know it landed.
+  // Written to a temp file and renamed so settings.json is never left
+  // half-written.
+  writeSettings() {
+    const settingsPath = path.join(app.getPath('userData'), 'settings.json');
+    const tempPath = `${settingsPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.settings, null, 2));
+    fs.renameSync(tempPath, settingsPath);
+  }
+
+  // New and imported profiles without a game version or loader of their
+  // own take the active profile's
+  getActiveProfile() {
+    return this.settings.profiles[this.settings.currentProfile] || {
+      gameVersion: gameTags.DEFAULT_GAME_VERSION,
+      loader: gameTags.DEFAULT_LOADER
+    };
+  }
+
   getProfilePath(profileId) {
     return path.join(app.getPath('userData'), 'profiles', profileId);
   }
 
+  // Derive a unique profile ID from a display name
+  createProfileId(name, unique = false) {
+    const baseId = name.toLowerCase().replace(/[^a-z0-9]/g, '-');
+    if (!unique) return baseId;
+
+    let profileId = baseId;
+    for (let i = 2; this.settings.profiles[profileId]; i++) {
+      profileId = `${baseId}-${i}`;
+    }
+    return profileId;
+  }
+
   async createProfileDirectory(profileId) {
     const profilePath = this.getProfilePath(profileId);
     await fs.ensureDir(profilePath);
     return profilePath;
   }
 
+  // The active profile's mods live in the game's mods folder; inactive
+  // profiles keep theirs in the profile directory
+  getProfileModsDir(profileId) {
+    return profileId === this.settings.currentProfile
+      ? this.settings.modsPath
+      : this.getProfilePath(profileId);
+  }
+
+  // Game folders no active profile manages are kept here while a profile
+  // that does manage them is active
+  getSharedFoldersPath() {
+    return path.join(app.getPath('userData'), 'shared-folders');
+  }
+
+  getManagedFoldersPath(profileId) {
+    return path.join(this.getProfilePath(profileId), 'folders');
+  }
+
+  // Pair up where each game folder is stored when switching between two
+  // profiles; folders neither profile manages stay shared and untouched
+  getSwappedFolders(fromId, toId) {
+    const fromManaged = this.settings.profiles[fromId]?.managedFolders || [];
+    const toManaged = this.settings.profiles[toId]?.managedFolders || [];
+    const names = [...new Set([...fromManaged, ...toManaged])];
+
+    return names.map(name => ({
+      name,
+      saveTo: fromManaged.includes(name) ? this.getManagedFoldersPath(fromId) : this.getSharedFoldersPath(),
+      loadFrom: toManaged.includes(name) ? this.getManagedFoldersPath(toId) : this.getSharedFoldersPath()
+    }));
+  }
+
+  // Give a profile its own copy of a game folder it starts managing: the live
+  // one when copying the current setup, otherwise the shared one
+  async seedManagedFolder(profileId, name, fromLive) {
+    const target = path.join(this.getManagedFoldersPath(profileId), name);
+    if (await fs.pathExists(target) || !this.settings.modsPath) return;
+
+    const activeManages = (this.settings.profiles[this.settings.currentProfile]?.managedFolders || []).includes(name);
+    const source = fromLive || !activeManages
+      ? path.join(path.dirname(this.settings.modsPath), name)
+      : path.join(this.getSharedFoldersPath(), name);
+
+    if (await fs.pathExists(source)) {
+      await fs.copy(source, target);
+    }
+  }
+
+  normalizeManagedFolders(folders) {
+    return (folders || []).filter(name => ProfileSwitcher.MANAGEABLE_FOLDERS.includes(name));
+  }
+
+  // Where a profile's copy of a game folder is right now: the live one for
+  // the active profile; otherwise its own managed copy, or the shared one
+  // the active profile has put aside while it manages that folder
+  getProfileFolderPath(profileId, name) {
+    if (!this.settings.modsPath) return null;
+
+    const livePath = path.join(path.dirname(this.settings.modsPath), name);
+    if (profileId === this.settings.currentProfile) return livePath;
+
+    if ((this.settings.profiles[profileId]?.managedFolders || []).includes(name)) {
+      return path.join(this.getManagedFoldersPath(profileId), name);
+    }
+    const activeManages = (this.settings.profiles[this.settings.currentProfile]?.managedFolders || []).includes(name);
+    return activeManages ? path.join(this.getSharedFoldersPath(), name) : livePath;
+  }
+
+  // The folders resource, shader and data packs are found in
+  getProfilePackFolders(profileId) {
+    return {
+      resourcepacks: this.getProfileFolderPath(profileId, 'resourcepacks'),
+      shaderpacks: this.getProfileFolderPath(profileId, 'shaderpacks'),
+      saves: this.getProfileFolderPath(profileId, 'saves')
+    };
+  }
+
+  // Folder a registry key's file lives in: the mods folder for mods, the
+  // game folder its path names for packs
+  getRegistryKeyDir(profileId, key) {
+    if (!projectTypes.isPackKey(key)) {
+      return this.getProfileModsDir(profileId);
+    }
+    const [folder, ...rest] = path.posix.dirname(key).split('/');
+    return path.join(this.getProfileFolderPath(profileId, folder), ...rest);
+  }
+
+  // Where the active profile installs a project of the given type. Data
+  // packs need one of the profile's worlds.
+  async getInstallDir(projectType = projectTypes.DEFAULT_PROJECT_TYPE, world = null) {
+    if (!projectTypes.isPackType(projectType)) {
+      if (projectType !== 'mod') {
+        throw new Error(`Cannot install a ${projectType} into a folder`);
+      }
+      return this.settings.modsPath;
+    }
+
+    const { folder, perWorld } = projectTypes.PROJECT_TYPES[projectType];
+    const folders = this.getProfilePackFolders(this.settings.currentProfile);
+    if (!perWorld) {
+      return folders[folder];
+    }
+
+    const worlds = await projectTypes.listWorlds(folders.saves);
+    if (!worlds.includes(world)) {
+      throw new Error(world ? `World not found: ${world}` : 'Choose a world to add the data pack to');
+    }
+    return path.join(folders.saves, world, folder);
+  }
+
   // Profile Manager for Update Manager
   getProfileManager() {
     return {
@@ -81,7 +287,8 @@ class LumenApp {
           id: profileId,
           ...profile,
           path: this.getProfilePath(profileId),
-          modsPath: this.settings.modsPath
+          modsPath: this.settings.modsPath,
+          packFolders: this.getProfilePackFolders(profileId)
         };
       },
       getCurrentProfileId: () => this.settings.currentProfile,
@@ -89,54 +296,6 @@ class LumenApp {
     };
   }
 
-  // Modrinth API wrapper for Update Manager
-  getModrinthAPI() {
-    return {
-      getLatestVersion: async (projectId, gameVersion, loader) => {
-        try {
-          const response = await axios.get(`https://api.modrinth.com/v2/project/${projectId}/version`, {
-            headers: { 'User-Agent': 'Lumen-Mod-Manager/1.0.0' },
-            params: {
-              game_versions: JSON.stringify([gameVersion]),
-              loaders: JSON.stringify([loader])
-            }
-          });
-
-          const versions = response.data;
-          return versions.find(v => 
-            v.game_versions.includes(gameVersion) && 
-            v.loaders.includes(loader)
-          ) || versions[0];
-        } catch (error) {
-          throw new Error(`Failed to get latest version: ${error.message}`);
-        }
-      },
-
-      downloadMod: async (downloadUrl, destination) => {
-        const response = await axios({
-          method: 'GET',
-          url: downloadUrl,
-          responseType: 'stream',
-          headers: { 'User-Agent': 'Lumen-Mod-Manager/1.0.0' }
-        });
-
-        // Ensure directory exists
-        const dir = path.dirname(destination);
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
-        }
-
-        const writer = fs.createWriteStream(destination);
-        response.data.pipe(writer);
-
-        return new Promise((resolve, reject) => {
-          writer.on('finish', resolve);
-          writer.on('error', reject);
-        });
-      }
-    };
-  }
-
   createWindow() {
     this.mainWindow = new BrowserWindow({
       width: 1200,
@@ -159,6 +318,23 @@ class LumenApp {
       autoHideMenuBar: true
     });
 
+    // Links in project descriptions open in the browser, never in the app
+    this.mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+      if (/^https?:\/\//.test(url)) {
+        shell.openExternal(url);
+      }
+      return { action: 'deny' };
+    });
+
+    this.mainWindow.webContents.on('will-navigate', (event, url) => {
+      if (url !== this.mainWindow.webContents.getURL()) {
+        event.preventDefault();
+        if (/^https?:\/\//.test(url)) {
+          shell.openExternal(url);
+        }
+      }
+    });
+
     // Disable zoom shortcuts (Ctrl+Plus, Ctrl+Minus, Ctrl+0)
     this.mainWindow.webContents.on('before-input-event', (event, input) => {
       if (input.control && (input.key === '=' || input.key === '+' || input.key === '-' || input.key === '0')) {
@@ -196,9 +372,8 @@ class LumenApp {
   initializeUpdateManager() {
     try {
       const profileManager = this.getProfileManager();
-      const modrinthAPI = this.getModrinthAPI();
       
-      this.updateManager = new UpdateManager(modrinthAPI, profileManager);
+      this.updateManager = new UpdateManager(this.providers, profileManager, this.backups, this.jarMetadata);
       
       // Set up Update Manager event listeners
       this.updateManager.on('updateCheckStarted', (data) => {
@@ -324,6 +499,24 @@ class LumenApp {
     ipcMain.handle('save-settings', (event, newSettings) => {
       this.settings = { ...this.settings, ...newSettings };
       this.saveSettings();
+
+      if (newSettings.downloadConcurrency) {
+        this.downloads.setConcurrency(newSettings.downloadConcurrency);
+      }
+      if ('offlineMode' in newSettings) {
+        this.cache.setOffline(newSettings.offlineMode);
+        if (!newSettings.offlineMode) {
+          this.flushPendingInstalls();
+        }
+      }
+      if (newSettings.backupRetention) {
+        this.backups.setRetention(newSettings.backupRetention);
+        for (const profileId of Object.keys(this.settings.profiles || {})) {
+          this.backups.enforceRetention(this.getProfilePath(profileId)).catch(error => {
+            console.error(`Failed to apply backup retention to profile ${profileId}:`, error);
+          });
+        }
+      }
       
       // Apply theme immediately if changed
       if (newSettings.theme) {
@@ -333,6 +526,26 @@ class LumenApp {
       return this.settings;
     });
 
+    // Validated before saving, so a typo can't cut the app off the network
+    ipcMain.handle('set-network-settings', (event, { apiBaseUrl, proxy }) => {
+      try {
+        apiBaseUrl = (apiBaseUrl || '').trim() || null;
+        proxy = (proxy || '').trim() || null;
+
+        if (apiBaseUrl && !/^https?:$/.test(this.parseUrl(apiBaseUrl).protocol)) {
+          throw new Error('The API base URL must start with http:// or https://');
+        }
+        this.http.configure({ proxy });
+        this.settings = { ...this.settings, apiBaseUrl, proxy };
+        this.providers.setApiBaseUrl(this.getApiBaseUrl());
+        this.saveSettings();
+
+        return { success: true, settings: this.settings };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
     // Setup
     ipcMain.handle('get-setup-status', () => {
       return {
@@ -365,7 +578,8 @@ class LumenApp {
       return { 
         success: true, 
         profiles: this.settings.profiles,
-        currentProfile: this.settings.currentProfile 
+        currentProfile: this.settings.currentProfile,
+        manageableFolders: ProfileSwitcher.MANAGEABLE_FOLDERS
       };
     });
 
@@ -375,18 +589,19 @@ class LumenApp {
 
     ipcMain.handle('create-profile', async (event, profileData) => {
       try {
-        const profileId = profileData.name.toLowerCase().replace(/[^a-z0-9]/g, '-');
+        const profileId = this.createProfileId(profileData.name);
         
         if (this.settings.profiles[profileId]) {
           return { success: false, error: 'Profile with this name already exists' };
         }
 
         const profilePath = await this.createProfileDirectory(profileId);
+        const managedFolders = this.normalizeManagedFolders(profileData.managedFolders);
         
         // Copy current mods if requested
         if (profileData.copyCurrent && this.settings.modsPath) {
           const currentMods = await fs.readdir(this.settings.modsPath);
-          const jarFiles = currentMods.filter(file => file.endsWith('.jar'));
+          const jarFiles = currentMods.filter(isModFile);
           
           for (const file of jarFiles) {
             await fs.copy(
@@ -396,12 +611,17 @@ class LumenApp {
           }
         }
 
+        for (const name of managedFolders) {
+          await this.seedManagedFolder(profileId, name, profileData.copyCurrent);
+        }
+
         this.settings.profiles[profileId] = {
           name: profileData.name,
           description: profileData.description || '',
           createdAt: Date.now(),
-          gameVersion: profileData.gameVersion || '1.20.1',
-          loader: profileData.loader || 'fabric'
+          gameVersion: profileData.gameVersion || this.getActiveProfile().gameVersion,
+          loader: profileData.loader || this.getActiveProfile().loader,
+          managedFolders
         };
 
         this.saveSettings();
@@ -411,263 +631,1001 @@ class LumenApp {
       }
     });
 
-    ipcMain.handle('delete-profile', async (event, profileId) => {
+    ipcMain.handle('import-mrpack', async () => {
+      const result = await dialog.showOpenDialog(this.mainWindow, {
+        properties: ['openFile'],
+        title: 'Import Modrinth Modpack',
+        filters: [{ name: 'Modrinth Modpack', extensions: ['mrpack'] }]
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+
       try {
-        if (profileId === 'default') {
-          return { success: false, error: 'Cannot delete default profile' };
-        }
+        return { success: true, ...await this.importMrpackFile(result.filePaths[0]) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
 
-        if (this.settings.currentProfile === profileId) {
-          return { success: false, error: 'Cannot delete currently active profile' };
-        }
+    // Modpacks found in Browse are downloaded and imported as a new profile
+    ipcMain.handle('install-modpack', async (event, versionData, fileName, providerId) => {
+      if (this.settings.offlineMode) {
+        return { success: false, error: 'Modpacks cannot be installed in offline mode' };
+      }
 
-        const profilePath = this.getProfilePath(profileId);
-        await fs.remove(profilePath);
-        
-        delete this.settings.profiles[profileId];
-        this.saveSettings();
+      const file = (versionData.files || []).find(f => f.filename === fileName);
+      if (!file || !file.filename.endsWith('.mrpack')) {
+        return { success: false, error: 'This version has no .mrpack file' };
+      }
 
-        return { success: true };
+      const packPath = path.join(app.getPath('temp'), `lumen-${Date.now()}-${path.basename(file.filename)}`);
+      try {
+        await this.providers.get(providerId).download(file, packPath);
+        return { success: true, ...await this.importMrpackFile(packPath) };
       } catch (error) {
         return { success: false, error: error.message };
+      } finally {
+        await fs.remove(packPath).catch(() => {});
       }
     });
 
-    ipcMain.handle('switch-profile', async (event, profileId) => {
-      try {
-        if (!this.settings.profiles[profileId] || !this.settings.modsPath) {
-          return { success: false, error: 'Invalid profile or mods path not set' };
-        }
+    ipcMain.handle('import-packwiz', async () => {
+      const result = await dialog.showOpenDialog(this.mainWindow, {
+        properties: ['openFile', 'openDirectory'],
+        title: 'Import packwiz Pack (folder or pack.toml)',
+        filters: [{ name: 'packwiz pack.toml', extensions: ['toml'] }]
+      });
 
-        const currentProfilePath = this.getProfilePath(this.settings.currentProfile);
-        await this.createProfileDirectory(this.settings.currentProfile);
-        
-        await fs.emptyDir(currentProfilePath);
-        const currentMods = await fs.readdir(this.settings.modsPath);
-        const jarFiles = currentMods.filter(file => file.endsWith('.jar'));
-        
-        for (const file of jarFiles) {
-          await fs.copy(
-            path.join(this.settings.modsPath, file),
-            path.join(currentProfilePath, file)
-          );
-        }
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
 
-        for (const file of jarFiles) {
-          await fs.remove(path.join(this.settings.modsPath, file));
-        }
+      let profilePath = null;
+      try {
+        const packPath = result.filePaths[0];
+        const pack = await this.packwiz.readPack(packPath);
+        const profileId = this.createProfileId(pack.name, true);
+        profilePath = await this.createProfileDirectory(profileId);
 
-        const newProfilePath = this.getProfilePath(profileId);
-        if (await fs.pathExists(newProfilePath)) {
-          const profileMods = await fs.readdir(newProfilePath);
-          const profileJarFiles = profileMods.filter(file => file.endsWith('.jar'));
-          
-          for (const file of profileJarFiles) {
-            await fs.copy(
-              path.join(newProfilePath, file),
-              path.join(this.settings.modsPath, file)
-            );
-          }
-        }
+        const imported = await this.packwiz.importPack(packPath, profilePath, (progress) => {
+          this.mainWindow.webContents.send('packwiz-import-progress', { profileId, ...progress });
+        });
 
-        this.settings.currentProfile = profileId;
+        this.settings.profiles[profileId] = {
+          name: imported.name,
+          description: imported.author ? `By ${imported.author}` : '',
+          createdAt: Date.now(),
+          gameVersion: imported.gameVersion || this.getActiveProfile().gameVersion,
+          loader: imported.loader || this.getActiveProfile().loader,
+          managedFolders: await listOverrideFolders(profilePath),
+          modpack: {
+            format: 'packwiz',
+            versionId: imported.version,
+            loaderVersion: imported.loaderVersion
+          }
+        };
         this.saveSettings();
 
-        return { success: true };
+        return { success: true, profileId, modCount: imported.modCount };
       } catch (error) {
+        if (profilePath) {
+          await fs.remove(profilePath).catch(() => {});
+        }
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('get-profile-mods', async (event, profileId) => {
-      try {
-        const profilePath = this.getProfilePath(profileId);
-        
-        if (!await fs.pathExists(profilePath)) {
-          return { success: true, mods: [] };
-        }
+    ipcMain.handle('export-packwiz', async (event, profileId, options = {}) => {
+      const profile = this.settings.profiles[profileId];
+      if (!profile || !this.settings.modsPath) {
+        return { success: false, error: 'Invalid profile or mods path not set' };
+      }
 
-        const files = await fs.readdir(profilePath);
-        const modFiles = files.filter(file => file.endsWith('.jar'));
-        
-        const mods = await Promise.all(modFiles.map(async (file) => {
-          const filePath = path.join(profilePath, file);
-          const stats = await fs.stat(filePath);
-          return {
-            name: file,
-            path: filePath,
-            size: stats.size
-          };
-        }));
+      const result = await dialog.showOpenDialog(this.mainWindow, {
+        properties: ['openDirectory', 'createDirectory'],
+        title: 'Export as packwiz Pack'
+      });
 
-        return { success: true, mods };
-      } catch (error) {
-        return { success: false, error: error.message };
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
       }
-    });
 
-    // Search mods
-    ipcMain.handle('search-mods', async (event, query, filters = {}) => {
       try {
-        const facets = [['project_type:mod']];
-        
-        if (filters.versions && filters.versions.length > 0) {
-          facets.push(filters.versions.map(ver => `versions:${ver}`));
-        }
-        
-        if (filters.loaders && filters.loaders.length > 0) {
-          facets.push(filters.loaders.map(loader => `categories:${loader}`));
-        }
-
-        const params = new URLSearchParams({
-          query: query,
-          limit: filters.limit || 20,
-          offset: filters.offset || 0,
-          facets: JSON.stringify(facets)
-        });
+        const outputDir = result.filePaths[0];
+        const registry = await this.loadProfileRegistry(profileId);
+        const prepared = await this.mrpack.prepareExport(
+          this.getProfileModsDir(profileId),
+          name => this.getProfileFolderPath(profileId, name),
+          registry
+        );
 
-        const response = await axios.get(`https://api.modrinth.com/v2/search?${params.toString()}`, {
-          headers: {
-            'User-Agent': 'Lumen-Mod-Manager/1.0.0 (github.com/user/lumen)'
-          }
+        await this.packwiz.writeExport(prepared, outputDir, {
+          name: profile.name,
+          version: options.versionId,
+          gameVersion: profile.gameVersion,
+          loader: profile.loader,
+          loaderVersion: options.loaderVersion,
+          includeFolders: options.includeFolders,
+          registry
         });
 
-        return { success: true, data: response.data };
+        return { success: true, path: outputDir, warnings: prepared.warnings };
       } catch (error) {
-        console.error('Search error:', error.response?.data || error.message);
-        return { success: false, error: error.response?.data?.description || error.message };
+        return { success: false, error: error.message };
       }
     });
 
-    // Get mod details
-    ipcMain.handle('get-mod-details', async (event, projectId) => {
+    ipcMain.handle('prepare-mrpack-export', async (event, profileId) => {
       try {
-        const [projectResponse, versionsResponse] = await Promise.all([
-          axios.get(`https://api.modrinth.com/v2/project/${projectId}`, {
-            headers: { 'User-Agent': 'Lumen-Mod-Manager/1.0.0' }
-          }),
-          axios.get(`https://api.modrinth.com/v2/project/${projectId}/version`, {
-            headers: { 'User-Agent': 'Lumen-Mod-Manager/1.0.0' }
-          })
-        ]);
+        if (!this.settings.profiles[profileId] || !this.settings.modsPath) {
+          return { success: false, error: 'Invalid profile or mods path not set' };
+        }
+
+        const prepared = await this.mrpack.prepareExport(
+          this.getProfileModsDir(profileId),
+          name => this.getProfileFolderPath(profileId, name),
+          await this.loadProfileRegistry(profileId)
+        );
 
         return {
           success: true,
-          project: projectResponse.data,
-          versions: versionsResponse.data
+          modrinthCount: prepared.modrinthFiles.length,
+          overrideMods: prepared.overrideMods.map(mod => mod.fileName),
+          warnings: prepared.warnings,
+          availableFolders: prepared.availableFolders
         };
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
-    // Download mod
-    ipcMain.handle('download-mod', async (event, versionData, fileName) => {
-      if (!this.settings.modsPath) {
-        return { success: false, error: 'Mods folder not configured' };
+    ipcMain.handle('export-mrpack', async (event, profileId, options = {}) => {
+      const profile = this.settings.profiles[profileId];
+      if (!profile || !this.settings.modsPath) {
+        return { success: false, error: 'Invalid profile or mods path not set' };
       }
 
-      try {
-        const filePath = path.join(this.settings.modsPath, fileName);
-        
-        if (await fs.pathExists(filePath)) {
-          return { success: false, error: 'Mod already exists' };
-        }
+      const result = await dialog.showSaveDialog(this.mainWindow, {
+        title: 'Export as .mrpack',
+        defaultPath: `${profile.name}-${options.versionId || '1.0.0'}.mrpack`,
+        filters: [{ name: 'Modrinth Modpack', extensions: ['mrpack'] }]
+      });
 
-        const response = await axios({
-          method: 'GET',
-          url: versionData.url,
-          responseType: 'stream',
-          headers: { 'User-Agent': 'Lumen-Mod-Manager/1.0.0' }
-        });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
 
-        const writer = fs.createWriteStream(filePath);
-        response.data.pipe(writer);
+      try {
+        const prepared = await this.mrpack.prepareExport(
+          this.getProfileModsDir(profileId),
+          name => this.getProfileFolderPath(profileId, name),
+          await this.loadProfileRegistry(profileId)
+        );
 
-        return new Promise((resolve, reject) => {
-          writer.on('finish', () => {
-            // Update mod registry when mod is downloaded
-            this.updateDownloadedModRegistry(fileName, versionData);
-            resolve({ success: true, path: filePath });
-          });
-          writer.on('error', (err) => resolve({ success: false, error: err.message }));
+        await this.mrpack.writeExport(prepared, result.filePath, {
+          name: profile.name,
+          summary: profile.description,
+          versionId: options.versionId,
+          gameVersion: profile.gameVersion,
+          loader: profile.loader,
+          loaderVersion: options.loaderVersion,
+          includeFolders: options.includeFolders
         });
+
+        return { success: true, path: result.filePath, warnings: prepared.warnings };
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
-    // Get installed mods
-    ipcMain.handle('get-installed-mods', async () => {
-      if (!this.settings.modsPath) {
-        return { success: false, error: 'Mods folder not configured' };
-      }
-
+    ipcMain.handle('get-lockfile', async (event, profileId) => {
       try {
-        const files = await fs.readdir(this.settings.modsPath);
-        const modFiles = files.filter(file => 
-          file.endsWith('.jar') && !file.startsWith('.')
-        );
-
-        const mods = modFiles.map(file => ({
-          name: file,
-          path: path.join(this.settings.modsPath, file),
-          size: fs.statSync(path.join(this.settings.modsPath, file)).size
-        }));
+        if (!this.settings.profiles[profileId]) {
+          return { success: false, error: 'Profile not found' };
+        }
 
-        return { success: true, mods };
+        const lock = await this.lockfiles.read(this.getProfilePath(profileId));
+        return {
+          success: true,
+          exists: !!lock,
+          modCount: lock ? lock.mods.length : 0,
+          path: this.lockfiles.getLockPath(this.getProfilePath(profileId))
+        };
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
-    // Delete mod
-    ipcMain.handle('delete-mod', async (event, modPath) => {
+    ipcMain.handle('write-lockfile', async (event, profileId) => {
       try {
-        await fs.remove(modPath);
-        return { success: true };
+        const profile = this.settings.profiles[profileId];
+        if (!profile || !this.settings.modsPath) {
+          return { success: false, error: 'Invalid profile or mods path not set' };
+        }
+
+        const profilePath = this.getProfilePath(profileId);
+        const registry = await this.loadProfileRegistry(profileId);
+        const lock = await this.lockfiles.generate(this.getProfileModsDir(profileId), registry, profile);
+        const lockPath = await this.lockfiles.write(profilePath, lock);
+
+        return {
+          success: true,
+          path: lockPath,
+          modCount: lock.mods.length,
+          unpinned: lock.mods.filter(mod => !mod.url).map(mod => mod.fileName)
+        };
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
-    // Open mods folder
-    ipcMain.handle('open-mods-folder', () => {
-      if (this.settings.modsPath) {
-        shell.openPath(this.settings.modsPath);
-        return { success: true };
+    ipcMain.handle('import-lockfile', async (event, profileId) => {
+      if (!this.settings.profiles[profileId]) {
+        return { success: false, error: 'Profile not found' };
       }
-      return { success: false, error: 'Mods folder not configured' };
-    });
 
-    // Update Manager IPC Handlers
-    ipcMain.handle('check-for-updates', async (event, profileId) => {
-      if (!this.updateManager) {
-        return { success: false, error: 'Update Manager not initialized' };
+      const result = await dialog.showOpenDialog(this.mainWindow, {
+        properties: ['openFile'],
+        title: 'Import Lockfile',
+        filters: [{ name: 'Lumen Lockfile', extensions: ['json'] }]
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
       }
 
       try {
-        const results = await this.updateManager.checkForUpdates(profileId);
-        return { success: true, results };
+        const lock = this.lockfiles.parse(await fs.readFile(result.filePaths[0], 'utf8'));
+        await this.lockfiles.write(this.getProfilePath(profileId), lock);
+        return { success: true, modCount: lock.mods.length };
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
-    ipcMain.handle('update-mods', async (event, mods, profileId) => {
-      if (!this.updateManager) {
-        return { success: false, error: 'Update Manager not initialized' };
-      }
+    ipcMain.handle('export-lockfile', async (event, profileId) => {
+      try {
+        const profile = this.settings.profiles[profileId];
+        const lock = profile && await this.lockfiles.read(this.getProfilePath(profileId));
+        if (!lock) {
+          return { success: false, error: 'This profile has no lockfile yet' };
+        }
+
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+          title: 'Export Lockfile',
+          defaultPath: LockfileService.LOCKFILE_NAME,
+          filters: [{ name: 'Lumen Lockfile', extensions: ['json'] }]
+        });
+
+        if (result.canceled || !result.filePath) {
+          return { success: false, canceled: true };
+        }
+
+        await fs.writeFile(result.filePath, this.lockfiles.serialize(lock));
+        return { success: true, path: result.filePath };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('preview-lockfile-sync', async (event, profileId) => {
+      try {
+        const plan = await this.planLockfileSync(profileId);
+        const describe = ({ entry }) => ({ fileName: entry.fileName, name: entry.name, version: entry.version });
+
+        return {
+          success: true,
+          plan: {
+            add: plan.add.map(describe),
+            replace: plan.replace.map(describe),
+            remove: plan.remove.map(item => ({ fileName: item.fileName })),
+            toggle: plan.toggle.map(item => ({ ...describe(item), disabled: !!item.entry.disabled })),
+            unavailable: plan.unavailable.map(item => ({ ...describe(item), reason: item.reason })),
+            unchanged: plan.unchanged
+          }
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('sync-lockfile', async (event, profileId) => {
+      try {
+        const plan = await this.planLockfileSync(profileId);
+        const lock = plan.lock;
+        const profilePath = this.getProfilePath(profileId);
+
+        const synced = await this.lockfiles.applySync(
+          plan,
+          this.getProfileModsDir(profileId),
+          (filePath) => this.backups.create(profilePath, filePath, { reason: 'lockfile sync' }),
+          (progress) => this.mainWindow.webContents.send('lockfile-sync-progress', { profileId, ...progress })
+        );
+
+        await this.editProfileRegistry(profileId, (registry) => {
+          // A stray disabled copy of a locked mod shares its registry entry
+          plan.remove
+            .filter(item => !lock.mods.some(mod => mod.fileName === item.registryKey))
+            .forEach(item => { delete registry[item.registryKey]; });
+          Object.assign(registry, this.lockfiles.toRegistryEntries(lock, synced));
+        });
+
+        return {
+          success: true,
+          changed: synced.length + plan.remove.length,
+          unavailable: plan.unavailable.map(item => item.entry.fileName)
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('delete-profile', async (event, profileId) => {
+      try {
+        if (profileId === 'default') {
+          return { success: false, error: 'Cannot delete default profile' };
+        }
+
+        if (this.settings.currentProfile === profileId) {
+          return { success: false, error: 'Cannot delete currently active profile' };
+        }
+
+        const profilePath = this.getProfilePath(profileId);
+        await fs.remove(profilePath);
+        
+        delete this.settings.profiles[profileId];
+        this.saveSettings();
+
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Game versions and loaders from Modrinth's tag lists, cached like any
+    // other response; without either, the built-in lists stand in
+    ipcMain.handle('get-game-tags', async () => {
+      const provider = this.providers.getDefault();
+      try {
+        const { result: [versions, loaders], staleSince } = await this.cache.track(() => Promise.all([
+          provider.getGameVersions(),
+          provider.getLoaders()
+        ]));
+
+        return {
+          success: true,
+          gameVersions: gameTags.groupGameVersions(versions),
+          loaders: gameTags.getModLoaders(loaders),
+          staleSince
+        };
+      } catch (error) {
+        console.warn('Using built-in game versions and loaders:', error.message);
+        return {
+          success: true,
+          fallback: true,
+          gameVersions: gameTags.groupGameVersions(gameTags.FALLBACK_GAME_VERSIONS),
+          loaders: gameTags.getModLoaders(gameTags.FALLBACK_LOADERS)
+        };
+      }
+    });
+
+    // Only inactive profiles can change what they manage, so the live game
+    // folders never need moving outside a switch
+    ipcMain.handle('set-profile-folders', async (event, profileId, folders) => {
+      try {
+        const profile = this.settings.profiles[profileId];
+        if (!profile) {
+          return { success: false, error: 'Profile not found' };
+        }
+        if (profileId === this.settings.currentProfile) {
+          return { success: false, error: 'Switch to another profile before changing the folders this one manages' };
+        }
+
+        const managedFolders = this.normalizeManagedFolders(folders);
+        for (const name of managedFolders) {
+          await this.seedManagedFolder(profileId, name, false);
+        }
+
+        // Folders a modpack import brought along can't be toggled, so they stay
+        const importedFolders = (profile.managedFolders || [])
+          .filter(name => !ProfileSwitcher.MANAGEABLE_FOLDERS.includes(name));
+        profile.managedFolders = [...managedFolders, ...importedFolders];
+        this.saveSettings();
+
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('update-profile', async (event, profileId, changes) => {
+      try {
+        const profile = this.settings.profiles[profileId];
+        if (!profile) {
+          return { success: false, error: 'Profile not found' };
+        }
+        if ('name' in changes && !String(changes.name).trim()) {
+          return { success: false, error: 'Profile name cannot be empty' };
+        }
+
+        for (const key of ['name', 'description', 'gameVersion', 'loader']) {
+          if (key in changes) {
+            profile[key] = String(changes[key]).trim();
+          }
+        }
+        this.saveSettings();
+
+        return { success: true, profile };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('switch-profile', async (event, profileId) => {
+      try {
+        if (!this.settings.profiles[profileId] || !this.settings.modsPath) {
+          return { success: false, error: 'Invalid profile or mods path not set' };
+        }
+
+        const currentProfile = this.settings.currentProfile;
+        if (profileId === currentProfile) {
+          return { success: true };
+        }
+
+        await this.profileSwitcher.switchProfile({
+          from: currentProfile,
+          to: profileId,
+          modsPath: this.settings.modsPath,
+          fromProfilePath: this.getProfilePath(currentProfile),
+          toProfilePath: this.getProfilePath(profileId),
+          gameDir: path.dirname(this.settings.modsPath),
+          folders: this.getSwappedFolders(currentProfile, profileId)
+        }, async () => {
+          this.settings.currentProfile = profileId;
+          try {
+            this.writeSettings();
+          } catch (error) {
+            this.settings.currentProfile = currentProfile;
+            throw error;
+          }
+        });
+
+        if (!this.settings.offlineMode) {
+          this.flushPendingInstalls();
+        }
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('get-profile-mods', async (event, profileId) => {
+      try {
+        const profilePath = this.getProfilePath(profileId);
+        
+        if (!await fs.pathExists(profilePath)) {
+          return { success: true, mods: [] };
+        }
+
+        const files = await fs.readdir(profilePath);
+        const modFiles = files.filter(isModFile);
+        
+        const mods = await Promise.all(modFiles.map(async (file) => {
+          const filePath = path.join(profilePath, file);
+          const stats = await fs.stat(filePath);
+          return {
+            name: file,
+            path: filePath,
+            size: stats.size,
+            disabled: isDisabledModFile(file)
+          };
+        }));
+
+        return { success: true, mods };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Search mods
+    ipcMain.handle('search-mods', async (event, query, filters = {}) => {
+      try {
+        const provider = this.providers.get(filters.provider);
+        const { result: data, staleSince } = await this.cache.track(() => provider.search(query, filters));
+        data.hits.forEach(hit => { hit.provider = provider.id; });
+        await this.useCachedIcons(data.hits);
+
+        return { success: true, data, staleSince };
+      } catch (error) {
+        console.error('Search error:', error.message);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Get mod details: the project with its description and changelogs
+    // rendered to sanitized HTML, its team, every version, and the names
+    // of the projects those versions depend on
+    ipcMain.handle('get-mod-details', async (event, projectId, providerId) => {
+      try {
+        const provider = this.providers.get(providerId);
+        const { result: [project, versions, members, dependencies], staleSince } = await this.cache.track(async () => {
+          const [project, versions, members] = await Promise.all([
+            provider.getProject(projectId),
+            provider.getProjectVersions(projectId),
+            provider.getProjectMembers(projectId).catch((error) => {
+              console.warn('Failed to get project members:', error.message);
+              return [];
+            })
+          ]);
+
+          const dependencyIds = [...new Set(versions.flatMap(version =>
+            (version.dependencies || []).map(dependency => dependency.project_id).filter(Boolean)
+          ))];
+          const dependencies = await provider.getProjects(dependencyIds).catch((error) => {
+            console.warn('Failed to get dependency names:', error.message);
+            return [];
+          });
+
+          return [project, versions, members, dependencies];
+        });
+        await this.useCachedIcons([project, ...dependencies]);
+
+        project.bodyHtml = renderMarkdown(project.body);
+        versions.forEach(version => {
+          version.changelogHtml = renderMarkdown(version.changelog);
+        });
+
+        return {
+          success: true,
+          provider: provider.id,
+          project,
+          versions,
+          members,
+          dependencies: Object.fromEntries(dependencies.map(dependency => [dependency.id, {
+            title: dependency.title,
+            slug: dependency.slug,
+            iconUrl: dependency.icon_url
+          }])),
+          staleSince
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Download queue
+    this.downloads.on('changed', (item) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('download-queue-changed', item);
+      }
+    });
+
+    ipcMain.handle('get-downloads', () => {
+      return { success: true, downloads: this.downloads.list(), concurrency: this.downloads.concurrency };
+    });
+
+    ['pause', 'resume', 'cancel'].forEach(action => {
+      ipcMain.handle(`${action}-download`, (event, id) => {
+        try {
+          this.downloads[action](id);
+          return { success: true };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+    });
+
+    ipcMain.handle('clear-finished-downloads', () => {
+      this.downloads.clearFinished();
+      return { success: true, downloads: this.downloads.list() };
+    });
+
+    // Mod sources
+    ipcMain.handle('get-providers', () => {
+      return { success: true, providers: this.providers.list() };
+    });
+
+    ipcMain.handle('add-provider', async (event, config) => {
+      try {
+        if (config.type === 'local' && !config.folderPath) {
+          const result = await dialog.showOpenDialog(this.mainWindow, {
+            properties: ['openDirectory'],
+            title: 'Select Folder of Mods'
+          });
+          if (result.canceled || result.filePaths.length === 0) {
+            return { success: false, canceled: true };
+          }
+          config = { ...config, folderPath: result.filePaths[0] };
+        }
+
+        const name = config.name || (config.type === 'local' ? path.basename(config.folderPath) : new URL(config.baseUrl).host);
+        const baseId = `${config.type}-${name.toLowerCase().replace(/[^a-z0-9]/g, '-')}`;
+        let id = baseId;
+        for (let i = 2; this.providers.has(id); i++) {
+          id = `${baseId}-${i}`;
+        }
+
+        const providerConfig = { ...config, id, name };
+        this.providers.registerFromConfig(providerConfig);
+        this.settings.providers = [...(this.settings.providers || []), providerConfig];
+        this.saveSettings();
+
+        return { success: true, providers: this.providers.list() };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('remove-provider', async (event, providerId) => {
+      try {
+        this.providers.unregister(providerId);
+        this.settings.providers = (this.settings.providers || []).filter(p => p.id !== providerId);
+        this.saveSettings();
+
+        return { success: true, providers: this.providers.list() };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Resolve dependencies into an install plan without writing anything
+    ipcMain.handle('resolve-install-plan', async (event, versionData, fileName, includeOptional = [], providerId) => {
+      if (!this.settings.modsPath) {
+        return { success: false, error: 'Mods folder not configured' };
+      }
+
+      try {
+        const profile = this.getProfileManager().getProfile(this.settings.currentProfile);
+        const installedMods = this.updateManager
+          ? await this.updateManager.getInstalledMods(profile)
+          : await this.getRegisteredMods(this.settings.currentProfile);
+        const rootFile = versionData.files.find(f => f.filename === fileName);
+
+        const plan = await this.dependencyResolver.resolve(versionData, rootFile, {
+          gameVersion: profile.gameVersion,
+          loader: profile.loader,
+          installedMods,
+          includeOptional,
+          providerId
+        });
+
+        return { success: true, plan };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Install every mod in a resolved plan; offline, the plan is kept and
+    // installed once offline mode is turned off
+    ipcMain.handle('install-plan', async (event, items) => {
+      if (!this.settings.modsPath) {
+        return { success: false, error: 'Mods folder not configured' };
+      }
+
+      if (this.settings.offlineMode) {
+        this.settings.pendingInstalls = [
+          ...(this.settings.pendingInstalls || []),
+          { profileId: this.settings.currentProfile, items, queuedAt: new Date().toISOString() }
+        ];
+        this.saveSettings();
+        return { success: true, queued: true, pendingInstalls: this.getPendingInstallCount() };
+      }
+
+      const results = await this.installPlanItems(items);
+      const failed = results.filter(r => !r.success);
+      return {
+        success: failed.length === 0,
+        results,
+        error: failed.length > 0 ? failed.map(r => `${r.name}: ${r.error}`).join(', ') : undefined
+      };
+    });
+
+    // Offline mode and the response cache
+    ipcMain.handle('get-offline-status', () => {
+      return {
+        success: true,
+        offline: !!this.settings.offlineMode,
+        pendingInstalls: this.getPendingInstallCount()
+      };
+    });
+
+    ipcMain.handle('clear-response-cache', async () => {
+      try {
+        await this.cache.clear();
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Get installed mods
+    ipcMain.handle('get-installed-mods', async () => {
+      if (!this.settings.modsPath) {
+        return { success: false, error: 'Mods folder not configured' };
+      }
+
+      try {
+        const files = await fs.readdir(this.settings.modsPath);
+        const modFiles = files.filter(isModFile);
+
+        const modPaths = modFiles.map(file => path.join(this.settings.modsPath, file));
+        const metadata = await this.jarMetadata.readAll(modPaths);
+
+        const mods = modFiles.map((file, i) => {
+          const filePath = modPaths[i];
+          const meta = metadata[filePath];
+
+          return {
+            name: file,
+            fileName: getModFileName(file),
+            path: filePath,
+            size: fs.statSync(filePath).size,
+            disabled: isDisabledModFile(file),
+            metadata: meta && meta.modId ? {
+              modId: meta.modId,
+              displayName: meta.displayName,
+              version: meta.version,
+              description: meta.description,
+              authors: meta.authors,
+              license: meta.license,
+              loader: meta.loader,
+              iconUrl: meta.iconFile ? pathToFileURL(meta.iconFile).href : null
+            } : null
+          };
+        });
+
+        return { success: true, mods };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Resource, shader or data packs of the active profile, with what the
+    // registry knows about each
+    ipcMain.handle('get-installed-packs', async (event, projectType) => {
+      if (!this.settings.modsPath) {
+        return { success: false, error: 'Mods folder not configured' };
+      }
+      if (!projectTypes.isPackType(projectType)) {
+        return { success: false, error: `Unknown pack type: ${projectType}` };
+      }
+
+      try {
+        const profileId = this.settings.currentProfile;
+        const [files, registry] = await Promise.all([
+          projectTypes.listPackFiles(this.getProfilePackFolders(profileId), [projectType]),
+          this.loadProfileRegistry(profileId)
+        ]);
+
+        const packs = await Promise.all(files.map(async (pack) => {
+          const entry = registry[pack.key] || {};
+          return {
+            name: pack.fileName,
+            fileName: pack.key,
+            path: pack.filePath,
+            world: pack.world,
+            size: (await fs.stat(pack.filePath)).size,
+            title: entry.name || null,
+            version: entry.version || null,
+            projectId: entry.projectId || null
+          };
+        }));
+
+        return { success: true, packs };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('get-worlds', async () => {
+      try {
+        const { saves } = this.getProfilePackFolders(this.settings.currentProfile);
+        return { success: true, worlds: await projectTypes.listWorlds(saves) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Enable or disable mods by renaming them to and from .jar.disabled
+    ipcMain.handle('set-mods-enabled', async (event, modPaths, enabled) => {
+      if (!this.settings.modsPath) {
+        return { success: false, error: 'Mods folder not configured' };
+      }
+
+      const errors = [];
+      for (const modPath of modPaths) {
+        try {
+          if (path.dirname(modPath) !== this.settings.modsPath) {
+            throw new Error('Not in the mods folder');
+          }
+
+          const targetPath = path.join(this.settings.modsPath, getFileNameForState(path.basename(modPath), enabled));
+          if (targetPath === modPath) continue;
+
+          if (await fs.pathExists(targetPath)) {
+            throw new Error(`${path.basename(targetPath)} already exists`);
+          }
+          await fs.rename(modPath, targetPath);
+        } catch (error) {
+          errors.push(`${path.basename(modPath)}: ${error.message}`);
+        }
+      }
+
+      return errors.length === 0
+        ? { success: true }
+        : { success: false, error: errors.join(', ') };
+    });
+
+    // Delete mod
+    ipcMain.handle('delete-mod', async (event, modPath) => {
+      try {
+        await fs.remove(modPath);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Open mods folder
+    ipcMain.handle('open-mods-folder', () => {
+      if (this.settings.modsPath) {
+        shell.openPath(this.settings.modsPath);
+        return { success: true };
+      }
+      return { success: false, error: 'Mods folder not configured' };
+    });
+
+    // Update Manager IPC Handlers
+    ipcMain.handle('check-for-updates', async (event, profileId) => {
+      if (!this.updateManager) {
+        return { success: false, error: 'Update Manager not initialized' };
+      }
+
+      try {
+        const { result: results, staleSince } = await this.cache.track(() => this.updateManager.checkForUpdates(profileId));
+        return { success: true, results, staleSince };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('get-update-rules', async (event, profileId) => {
+      if (!this.updateManager) {
+        return { success: false, error: 'Update Manager not initialized' };
+      }
+
+      try {
+        const rules = await this.updateManager.loadUpdateRules(profileId);
+        return { success: true, rules };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('set-update-channel', async (event, profileId, channel) => {
+      if (!this.updateManager) {
+        return { success: false, error: 'Update Manager not initialized' };
+      }
+
+      try {
+        const rules = await this.updateManager.setUpdateChannel(profileId, channel);
+        return { success: true, rules };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('set-mod-update-rule', async (event, profileId, projectId, changes) => {
+      if (!this.updateManager) {
+        return { success: false, error: 'Update Manager not initialized' };
+      }
+
+      try {
+        const rules = await this.updateManager.setModUpdateRule(profileId, projectId, changes);
+        return { success: true, rules };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('update-mods', async (event, mods, profileId, options) => {
+      if (!this.updateManager) {
+        return { success: false, error: 'Update Manager not initialized' };
+      }
+
+      if (this.settings.offlineMode) {
+        return { success: false, error: 'Updates need a connection; turn off offline mode first' };
+      }
 
       try {
         const profile = this.getProfileManager().getProfile(profileId);
-        const results = await this.updateManager.updateMultipleMods(mods, profile);
+        const results = await this.updateManager.updateMultipleMods(mods, profile, options);
         return { success: true, results };
       } catch (error) {
         return { success: false, error: error.message };
       }
     });
 
+    ipcMain.handle('get-update-history', async (event, profileId) => {
+      if (!this.updateManager) {
+        return { success: false, error: 'Update Manager not initialized' };
+      }
+
+      try {
+        const history = await this.updateManager.loadUpdateHistory(profileId);
+        return { success: true, history };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('undo-update-batch', async (event, profileId, batchId) => {
+      if (!this.updateManager) {
+        return { success: false, error: 'Update Manager not initialized' };
+      }
+
+      try {
+        const result = await this.updateManager.undoUpdateBatch(profileId, batchId);
+        return { success: true, ...result };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Mod backups
+    ipcMain.handle('create-mod-backup', async (event, modPath, profileId) => {
+      try {
+        const modsDir = path.resolve(this.getProfileModsDir(profileId));
+        if (path.dirname(path.resolve(modPath)) !== modsDir || !isModFile(path.basename(modPath))) {
+          throw new Error('Not a mod in this profile');
+        }
+
+        const backupPath = await this.backups.create(this.getProfilePath(profileId), modPath, { reason: 'manual' });
+        return { success: true, backupId: path.basename(backupPath) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('list-mod-backups', async (event, profileId) => {
+      try {
+        const backups = await this.backups.list(this.getProfilePath(profileId));
+        return { success: true, backups, retention: this.backups.retention };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('restore-mod-backup', async (event, backupId, profileId) => {
+      try {
+        if (!this.settings.profiles[profileId]) {
+          throw new Error('Profile not found');
+        }
+
+        const profilePath = this.getProfilePath(profileId);
+        const backup = (await this.backups.list(profilePath)).find(b => b.id === backupId);
+        const restored = await this.backups.restore(
+          profilePath,
+          backupId,
+          this.getRegistryKeyDir(profileId, backup ? backup.registryKey : '')
+        );
+        return { success: true, ...restored };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('delete-mod-backup', async (event, backupId, profileId) => {
+      try {
+        await this.backups.delete(this.getProfilePath(profileId), backupId);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    });
+
     ipcMain.handle('get-mod-registry', async (event, profileId) => {
       try {
         const registryPath = path.join(this.getProfilePath(profileId), 'mod-registry.json');
@@ -685,15 +1643,9 @@ class LumenApp {
 
     ipcMain.handle('update-mod-registry', async (event, profileId, modData) => {
       try {
-        const registryPath = path.join(this.getProfilePath(profileId), 'mod-registry.json');
-        let registry = {};
-        
-        if (await fs.pathExists(registryPath)) {
-          registry = await fs.readJson(registryPath);
-        }
-        
-        registry[modData.fileName] = modData;
-        await fs.writeJson(registryPath, registry, { spaces: 2 });
+        await this.editProfileRegistry(profileId, (registry) => {
+          registry[modData.fileName] = modData;
+        });
         
         return { success: true };
       } catch (error) {
@@ -744,31 +1696,257 @@ class LumenApp {
     });
   }
 
-  // Helper method to update mod registry when downloading
-  async updateDownloadedModRegistry(fileName, versionData) {
+  // Import a .mrpack file as a new profile; the profile directory is removed
+  // again if the import fails
+  async importMrpackFile(packPath) {
+    let profilePath = null;
+    try {
+      const pack = this.mrpack.readIndex(packPath);
+      const profileId = this.createProfileId(pack.name, true);
+      profilePath = await this.createProfileDirectory(profileId);
+
+      const imported = await this.mrpack.importPack(packPath, profilePath, (progress) => {
+        this.mainWindow.webContents.send('mrpack-import-progress', { profileId, ...progress });
+      });
+
+      this.settings.profiles[profileId] = {
+        name: imported.name,
+        description: imported.summary,
+        createdAt: Date.now(),
+        gameVersion: imported.gameVersion || this.getActiveProfile().gameVersion,
+        loader: imported.loader || this.getActiveProfile().loader,
+        managedFolders: await listOverrideFolders(profilePath),
+        modpack: {
+          format: 'mrpack',
+          versionId: imported.versionId,
+          loaderVersion: imported.loaderVersion
+        }
+      };
+      this.saveSettings();
+
+      return { profileId, name: imported.name, modCount: imported.modCount };
+    } catch (error) {
+      if (profilePath) {
+        await fs.remove(profilePath).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  // A profile's mod registry: file name (or pack path) -> entry
+  async loadProfileRegistry(profileId) {
+    const registryPath = path.join(this.getProfilePath(profileId), 'mod-registry.json');
+    return await fs.pathExists(registryPath) ? fs.readJson(registryPath) : {};
+  }
+
+  // Registry edits go through the update manager's write queue (registered
+  // with the backup manager) so they can't interleave with its own
+  editProfileRegistry(profileId, edit) {
+    return this.backups.editRegistry(this.getProfilePath(profileId), edit);
+  }
+
+  async planLockfileSync(profileId) {
+    if (!this.settings.profiles[profileId] || !this.settings.modsPath) {
+      throw new Error('Invalid profile or mods path not set');
+    }
+
+    const lock = await this.lockfiles.read(this.getProfilePath(profileId));
+    if (!lock) {
+      throw new Error('This profile has no lockfile yet');
+    }
+
+    const plan = await this.lockfiles.planSync(lock, this.getProfileModsDir(profileId));
+    return { ...plan, lock };
+  }
+
+  // fileName is the registry key: the file name for mods, the path in the
+  // game directory for packs
+  // replaces: the key of an older copy of the project this one took over
+  async updateDownloadedModRegistry(fileName, versionData, { name, hashes, url, provider, projectType, replaces } = {}) {
     try {
       const currentProfile = this.settings.currentProfile;
-      const registryPath = path.join(this.getProfilePath(currentProfile), 'mod-registry.json');
-      
-      let registry = {};
-      if (await fs.pathExists(registryPath)) {
-        registry = await fs.readJson(registryPath);
-      }
-
-      registry[fileName] = {
-       name: versionData.name || fileName.replace('.jar', ''),
-       version: versionData.version_number,
-       projectId: versionData.project_id,
-       fileName: fileName,
-       downloadedAt: new Date().toISOString(),
-       versionId: versionData.id,
-       gameVersions: versionData.game_versions,
-       loaders: versionData.loaders
-     };
-
-     await fs.writeJson(registryPath, registry, { spaces: 2 });
+      await this.createProfileDirectory(currentProfile);
+
+      await this.editProfileRegistry(currentProfile, (registry) => {
+        if (replaces && replaces !== fileName) {
+          delete registry[replaces];
+        }
+
+        registry[fileName] = {
+          name: name || versionData.name || path.posix.basename(fileName).replace(/\.(jar|zip)$/, ''),
+          version: versionData.version_number,
+          projectId: versionData.project_id,
+          provider: provider || ProviderRegistry.DEFAULT_PROVIDER_ID,
+          projectType: projectType || projectTypes.DEFAULT_PROJECT_TYPE,
+          fileName: fileName,
+          downloadedAt: new Date().toISOString(),
+          versionId: versionData.id,
+          datePublished: versionData.date_published,
+          gameVersions: versionData.game_versions,
+          loaders: versionData.loaders,
+          hashes: hashes || versionData.hashes,
+          url: url || null
+        };
+      });
+    } catch (error) {
+      console.error('Failed to update mod registry:', error);
+    }
+  }
+
+ // Files go into the active profile's mods folder through the download
+ // queue, or for items with a pack projectType into that pack's folder;
+ // returns one result per item
+ async installPlanItems(items) {
+   // Queued together; the download queue decides how many run at once
+   const downloaded = await Promise.all(items.map(async (item) => {
+     try {
+       const filePath = path.join(await this.getInstallDir(item.projectType, item.world), item.file.filename);
+       if (await fs.pathExists(filePath)) {
+         return { item, result: { name: item.name, success: true, skipped: true } };
+       }
+
+       await this.providers.get(item.provider).download(item.file, filePath);
+       if (item.replaces && item.replaces !== item.file.filename) {
+         await this.removeReplacedMod(item.replaces);
+       }
+       return { item, result: { name: item.name, success: true, path: filePath } };
+     } catch (error) {
+       return { item, result: { name: item.name, success: false, error: error.message } };
+     }
+   }));
+
+   // Registry writes read-modify-write one file, so they stay sequential
+   const results = [];
+   for (const { item, result } of downloaded) {
+     if (result.success && !result.skipped) {
+       const key = projectTypes.isPackType(item.projectType)
+         ? projectTypes.getPackKey(item.projectType, item.file.filename, item.world)
+         : item.file.filename;
+       await this.updateDownloadedModRegistry(key, item.version, {
+         name: item.name,
+         hashes: item.file.hashes,
+         url: item.file.url,
+         provider: item.provider,
+         projectType: item.projectType,
+         replaces: item.replaces
+       });
+     }
+     results.push(result);
+   }
+   return results;
+ }
+
+ // Back up and remove the installed copy of a mod an install plan replaces,
+ // enabled or not
+ async removeReplacedMod(fileName) {
+   for (const enabled of [true, false]) {
+     const filePath = path.join(this.settings.modsPath, getFileNameForState(fileName, enabled));
+     if (await fs.pathExists(filePath)) {
+       await this.backups.create(this.getProfilePath(this.settings.currentProfile), filePath, { reason: 'install' });
+       await fs.remove(filePath);
+     }
+   }
+ }
+
+ // The mods a profile's registry knows the source of and that are still
+ // in its mods folder, for when no update manager is running
+ async getRegisteredMods(profileId) {
+   const registry = await this.loadProfileRegistry(profileId);
+   const modsDir = this.getProfileModsDir(profileId);
+   const mods = [];
+
+   for (const [fileName, entry] of Object.entries(registry)) {
+     if (!entry.projectId || projectTypes.isPackKey(fileName)) continue;
+     const present = await fs.pathExists(path.join(modsDir, fileName)) ||
+       await fs.pathExists(path.join(modsDir, getFileNameForState(fileName, false)));
+     if (present) {
+       mods.push({
+         fileName,
+         name: entry.name,
+         projectId: entry.projectId,
+         versionId: entry.versionId || null,
+         provider: entry.provider || ProviderRegistry.DEFAULT_PROVIDER_ID
+       });
+     }
+   }
+   return mods;
+ }
+
+ getPendingInstallCount() {
+   return (this.settings.pendingInstalls || [])
+     .filter(plan => plan.profileId === this.settings.currentProfile)
+     .reduce((count, plan) => count + plan.items.length, 0);
+ }
+
+ // Install the plans queued in offline mode for the active profile; plans
+ // for other profiles wait until those are switched to
+ async flushPendingInstalls() {
+   const pending = this.settings.pendingInstalls || [];
+   const ready = pending.filter(plan => plan.profileId === this.settings.currentProfile);
+   if (ready.length === 0 || !this.settings.modsPath) return;
+
+   this.settings.pendingInstalls = pending.filter(plan => !ready.includes(plan));
+   this.saveSettings();
+
+   try {
+     const results = await this.installPlanItems(ready.flatMap(plan => plan.items));
+     const failed = results.filter(r => !r.success);
+
+     if (failed.length > 0) {
+       this.showNotification('Queued Installs', `Failed to install ${failed.map(r => r.name).join(', ')}`, 'error');
+     } else {
+       this.showNotification('Queued Installs', `Installed ${results.length} mods queued while offline`);
+     }
+     if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+       this.mainWindow.webContents.send('pending-installs-finished', { results });
+     }
    } catch (error) {
-     console.error('Failed to update mod registry:', error);
+     console.error('Failed to install queued mods:', error);
+   }
+ }
+
+ parseUrl(url) {
+   try {
+     return new URL(url);
+   } catch (error) {
+     throw new Error(`Invalid URL: ${url}`);
+   }
+ }
+
+ // Point icon_url at the cached copy of each icon when there is one, so
+ // icons still show offline
+ async useCachedIcons(projects) {
+   await Promise.all(projects.map(async (project) => {
+     if (!project || !project.icon_url || !/^https?:/.test(project.icon_url)) return;
+
+     const iconPath = await this.cache.getIconPath(project.icon_url);
+     if (iconPath) {
+       project.icon_url = pathToFileURL(iconPath).href;
+     }
+   }));
+ }
+
+ // Finish or undo a profile switch that was interrupted by a crash or
+ // forced quit, before the UI can read the mods folder
+ async recoverProfileSwitch() {
+   try {
+     const result = await this.profileSwitcher.recover(this.settings.currentProfile);
+
+     if (result.action === 'rolled-back') {
+       const profile = this.settings.profiles[result.from];
+       this.showNotification(
+         'Profile Switch Undone',
+         `An interrupted switch was rolled back; ${profile ? profile.name : result.from} is still active.`
+       );
+     } else if (result.action === 'completed') {
+       const profile = this.settings.profiles[result.to];
+       this.showNotification(
+         'Profile Switch Finished',
+         `An interrupted switch was completed; ${profile ? profile.name : result.to} is now active.`
+       );
+     }
+   } catch (error) {
+     console.error('Failed to recover interrupted profile switch:', error);
    }
  }
 
@@ -784,10 +1962,18 @@ class LumenApp {
  }
 
  init() {
-   app.whenReady().then(() => {
+   app.whenReady().then(async () => {
+     await this.recoverProfileSwitch();
      this.createWindow();
      this.setupIPC();
 
+     this.cache.prune().catch(error => {
+       console.error('Failed to prune response cache:', error);
+     });
+     if (!this.settings.offlineMode) {
+       this.flushPendingInstalls();
+     }
+
      app.on('activate', () => {
        if (BrowserWindow.getAllWindows().length === 0) {
          this.createWindow();
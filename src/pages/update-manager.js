@@ -1,4 +1,11 @@
 // src/pages/update-manager.js
+// Packs are checked alongside mods; these label them in the list
+const PACK_LABELS = {
+    resourcepack: 'Resource Pack',
+    shader: 'Shader Pack',
+    datapack: 'Data Pack'
+};
+
 class UpdateManagerUI {
     constructor() {
         this.selectedMods = new Set();
@@ -19,15 +26,20 @@ class UpdateManagerUI {
             refreshBtn: document.getElementById('refresh-btn'),
             updateSelectedBtn: document.getElementById('update-selected-btn'),
             updateAllBtn: document.getElementById('update-all-btn'),
+            atomicCheckbox: document.getElementById('atomic-checkbox'),
+            channelSelect: document.getElementById('channel-select'),
             closeBtn: document.getElementById('close-btn'),
             loadingState: document.getElementById('loading-state'),
             loadingText: document.getElementById('loading-text'),
+            staleNotice: document.getElementById('stale-notice'),
             modList: document.getElementById('mod-list'),
             progressSection: document.getElementById('progress-section'),
             currentMod: document.getElementById('current-mod'),
             progressCount: document.getElementById('progress-count'),
             progressFill: document.getElementById('progress-fill'),
-            progressPercentage: document.querySelector('.progress-percentage')
+            progressPercentage: document.querySelector('.progress-percentage'),
+            historySection: document.getElementById('history-section'),
+            historyList: document.getElementById('history-list')
         };
     }
 
@@ -35,7 +47,12 @@ class UpdateManagerUI {
         this.elements.refreshBtn.addEventListener('click', () => this.checkForUpdates());
         this.elements.updateSelectedBtn.addEventListener('click', () => this.updateSelectedMods());
         this.elements.updateAllBtn.addEventListener('click', () => this.updateAllMods());
+        this.elements.channelSelect.addEventListener('change', (e) => this.setChannel(e.target.value));
         this.elements.closeBtn.addEventListener('click', () => this.closeWindow());
+        this.elements.historyList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-undo]');
+            if (button) this.undoBatch(button.dataset.undo);
+        });
     }
 
     setupIPCListeners() {
@@ -68,14 +85,89 @@ class UpdateManagerUI {
 
         window.electronAPI.onBatchUpdateCompleted((data) => {
             this.hideProgress();
-            this.showUpdateResults(data.results);
+            this.showUpdateResults(data.results, data.batch);
             this.checkForUpdates(); // Refresh the list
         });
     }
 
     async checkForUpdates() {
         const profileId = await window.electronAPI.getCurrentProfile();
-        this.modList = await window.electronAPI.checkForUpdates(profileId);
+        const rules = await window.electronAPI.getUpdateRules(profileId);
+        if (rules.success) {
+            this.elements.channelSelect.value = rules.rules.channel;
+        }
+        this.loadHistory(profileId);
+        const result = await window.electronAPI.checkForUpdates(profileId);
+
+        const staleSince = result && result.staleSince;
+        this.elements.staleNotice.textContent = staleSince
+            ? `Offline or unreachable: showing cached update information from ${new Date(staleSince).toLocaleString()}`
+            : '';
+        this.elements.staleNotice.classList.toggle('hidden', !staleSince);
+    }
+
+    async loadHistory(profileId) {
+        const result = await window.electronAPI.getUpdateHistory(profileId);
+        if (!result.success || result.history.length === 0) {
+            this.elements.historySection.classList.add('hidden');
+            return;
+        }
+
+        this.elements.historyList.innerHTML = result.history.map(batch => {
+            const updated = batch.mods.filter(mod => mod.success);
+            const failed = batch.mods.length - updated.length;
+            const canUndo = updated.some(mod => !mod.rolledBack && !mod.undone);
+
+            return `
+                <div class="history-item">
+                    <div class="history-summary">
+                        <span>${new Date(batch.finishedAt).toLocaleString()}</span>
+                        <span class="history-status ${batch.status.replace(' ', '-')}">${batch.status}</span>
+                        <span>${updated.length} updated${failed > 0 ? `, ${failed} failed` : ''}</span>
+                        ${canUndo ? `<button class="btn-link" data-undo="${batch.id}">Undo</button>` : ''}
+                    </div>
+                    <div class="history-mods">
+                        ${batch.mods.map(mod => {
+                            if (!mod.success) return `${mod.mod}: ${mod.error}`;
+                            if (mod.rollbackError) return `${mod.mod}: could not roll back (${mod.rollbackError})`;
+                            return `${mod.mod} v${mod.oldVersion || '?'} → v${mod.newVersion}`;
+                        }).join('<br>')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        this.elements.historySection.classList.remove('hidden');
+    }
+
+    async undoBatch(batchId) {
+        if (!confirm('Put back the versions installed before this update?')) return;
+
+        const profileId = await window.electronAPI.getCurrentProfile();
+        const result = await window.electronAPI.undoUpdateBatch(profileId, batchId);
+        if (!result.success) {
+            alert(`Failed to undo update: ${result.error}`);
+        } else if (result.failures.length > 0) {
+            alert(`Undid ${result.undone} updates; could not restore ${result.failures.map(f => `${f.mod} (${f.error})`).join(', ')}`);
+        }
+        this.checkForUpdates();
+    }
+
+    async setChannel(channel) {
+        const profileId = await window.electronAPI.getCurrentProfile();
+        const result = await window.electronAPI.setUpdateChannel(profileId, channel);
+        if (!result.success) {
+            alert(`Failed to change channel: ${result.error}`);
+        }
+        this.checkForUpdates();
+    }
+
+    async setModRule(mod, changes) {
+        const profileId = await window.electronAPI.getCurrentProfile();
+        const result = await window.electronAPI.setModUpdateRule(profileId, mod.projectId, changes);
+        if (!result.success) {
+            alert(`Failed to change update rule for ${mod.name}: ${result.error}`);
+        }
+        this.checkForUpdates();
     }
 
     displayUpdateResults(mods) {
@@ -105,7 +197,8 @@ class UpdateManagerUI {
 
     createModElement(mod) {
         const div = document.createElement('div');
-        div.className = `mod-item ${mod.hasUpdate ? 'has-update' : 'up-to-date'}`;
+        div.className = `mod-item ${mod.hasUpdate ? 'has-update' : mod.unknownSource ? 'unknown-source' : 'up-to-date'}`;
+        const status = this.getStatusLabel(mod);
         
         div.innerHTML = `
             <div class="mod-checkbox">
@@ -115,16 +208,20 @@ class UpdateManagerUI {
             </div>
             <div class="mod-info">
                 <div class="mod-header">
-                    <h3 class="mod-name">${mod.name}</h3>
-                    <span class="mod-status ${mod.hasUpdate ? 'outdated' : 'current'}">
-                        ${mod.hasUpdate ? 'Update Available' : 'Up to Date'}
+                    <h3 class="mod-name">${mod.name}${mod.disabled ? ' <span class="disabled-badge">Disabled</span>' : ''}${PACK_LABELS[mod.projectType] ? ` <span class="disabled-badge">${PACK_LABELS[mod.projectType]}${mod.world ? ` · ${mod.world}` : ''}</span>` : ''}</h3>
+                    <span class="mod-status ${status.className}">
+                        ${status.text}
                     </span>
                 </div>
                 <div class="version-info">
-                    <span class="current-version">Current: v${mod.currentVersion}</span>
+                    <span class="current-version">Current: ${mod.currentVersion ? `v${mod.currentVersion}` : 'unknown'}</span>
                     ${mod.hasUpdate ? `
                         <span class="version-arrow">→</span>
-                        <span class="latest-version">Latest: v${mod.latestVersion.version_number}</span>
+                        <span class="latest-version">${mod.pin ? 'Pinned' : 'Latest'}: v${mod.latestVersion.version_number}</span>
+                        <span class="update-reason">${mod.updateReason}</span>
+                    ` : ''}
+                    ${mod.newestAvailable ? `
+                        <span class="update-reason">Installed version is newer than v${mod.newestAvailable.version} (${mod.newestAvailable.reason})</span>
                     ` : ''}
                 </div>
                 ${mod.hasUpdate ? `
@@ -140,6 +237,7 @@ class UpdateManagerUI {
                 ${mod.error ? `
                     <div class="mod-error">Error: ${mod.error}</div>
                 ` : ''}
+                ${mod.unknownSource ? '' : this.createRuleControls(mod)}
             </div>
         `;
 
@@ -161,9 +259,77 @@ class UpdateManagerUI {
             changelogBtn.addEventListener('click', () => this.showChangelog(mod));
         }
 
+        div.querySelectorAll('[data-rule]').forEach(control => {
+            const event = control.tagName === 'SELECT' ? 'change' : 'click';
+            control.addEventListener(event, () => this.handleRuleAction(mod, control));
+        });
+
         return div;
     }
 
+    createRuleControls(mod) {
+        const skipped = mod.skippedVersions.map(skipped => `v${skipped.version}`).join(', ');
+
+        return `
+            <div class="update-rules">
+                <select class="rule-channel" data-rule="channel" ${mod.ignored || mod.pin ? 'disabled' : ''}>
+                    <option value="" ${!mod.channelOverride ? 'selected' : ''}>Profile channel (${this.elements.channelSelect.value})</option>
+                    ${['release', 'beta', 'alpha'].map(channel => `
+                        <option value="${channel}" ${mod.channelOverride === channel ? 'selected' : ''}>${channel[0].toUpperCase()}${channel.slice(1)}</option>
+                    `).join('')}
+                </select>
+                ${mod.hasUpdate && !mod.pin ? `
+                    <button class="btn-link" data-rule="skip">Skip v${mod.latestVersion.version_number}</button>
+                ` : ''}
+                ${mod.pin ? `
+                    <button class="btn-link" data-rule="unpin">Unpin</button>
+                ` : mod.versionId ? `
+                    <button class="btn-link" data-rule="pin">Pin to v${mod.currentVersion}</button>
+                ` : ''}
+                <button class="btn-link" data-rule="ignore">${mod.ignored ? 'Check for updates' : 'Ignore updates'}</button>
+                ${skipped ? `
+                    <span class="skipped-versions">Skipped: ${skipped}</span>
+                    <button class="btn-link" data-rule="clear-skipped">Clear</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    handleRuleAction(mod, control) {
+        switch (control.dataset.rule) {
+            case 'channel':
+                return this.setModRule(mod, { channel: control.value || null });
+            case 'skip':
+                return this.setModRule(mod, {
+                    skipVersion: { versionId: mod.latestVersion.id, version: mod.latestVersion.version_number }
+                });
+            case 'pin':
+                return this.setModRule(mod, { pin: { versionId: mod.versionId, version: mod.currentVersion } });
+            case 'unpin':
+                return this.setModRule(mod, { pin: null });
+            case 'ignore':
+                return this.setModRule(mod, { ignore: !mod.ignored });
+            case 'clear-skipped':
+                return this.setModRule(mod, { clearSkipped: true });
+        }
+    }
+
+    getStatusLabel(mod) {
+        if (mod.ignored) {
+            return { className: 'ignored', text: 'Updates Ignored' };
+        }
+        if (mod.hasUpdate) {
+            return { className: 'outdated', text: mod.pin ? `Pinned to v${mod.pin.version}` : 'Update Available' };
+        }
+        if (mod.unknownSource) {
+            return { className: 'unknown', text: 'Unknown Source' };
+        }
+        if (mod.pin) {
+            return { className: 'pinned', text: `Pinned to v${mod.pin.version}` };
+        }
+        return { className: 'current', text: 'Up to Date' };
+    }
+
     async updateSelectedMods() {
         const selectedModData = this.modList.filter(mod => 
             this.selectedMods.has(mod.fileName) && mod.hasUpdate
@@ -172,7 +338,9 @@ class UpdateManagerUI {
         if (selectedModData.length === 0) return;
 
         const profileId = await window.electronAPI.getCurrentProfile();
-        await window.electronAPI.updateMods(selectedModData, profileId);
+        await window.electronAPI.updateMods(selectedModData, profileId, {
+            atomic: this.elements.atomicCheckbox.checked
+        });
     }
 
     async updateAllMods() {
@@ -244,7 +412,7 @@ class UpdateManagerUI {
         this.elements.progressPercentage.textContent = `${progress}%`;
     }
 
-    showUpdateResults(results) {
+    showUpdateResults(results, batch) {
         const successful = results.filter(r => r.success).length;
         const failed = results.filter(r => !r.success).length;
 
@@ -252,6 +420,11 @@ class UpdateManagerUI {
         if (failed > 0) {
             message += `, ${failed} failed`;
         }
+        if (batch && batch.status === 'rolled back') {
+            message = `${failed} of ${results.length} updates failed, so the whole batch was rolled back`;
+        } else if (batch && batch.status === 'rollback failed') {
+            message = `${failed} of ${results.length} updates failed and the batch could not be fully rolled back. ${batch.error}`;
+        }
 
         // You could show a toast notification here
         alert(message);
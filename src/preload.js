@@ -25,27 +25,85 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getProfiles: () => ipcRenderer.invoke('get-profiles'),
   createProfile: (profileData) => ipcRenderer.invoke('create-profile', profileData),
   deleteProfile: (profileId) => ipcRenderer.invoke('delete-profile', profileId),
+  updateProfile: (profileId, changes) => ipcRenderer.invoke('update-profile', profileId, changes),
+  setProfileFolders: (profileId, folders) => ipcRenderer.invoke('set-profile-folders', profileId, folders),
   switchProfile: (profileId) => ipcRenderer.invoke('switch-profile', profileId),
   getProfileMods: (profileId) => ipcRenderer.invoke('get-profile-mods', profileId),
   getCurrentProfile: () => ipcRenderer.invoke('get-current-profile'),
+  importMrpack: () => ipcRenderer.invoke('import-mrpack'),
+  prepareMrpackExport: (profileId) => ipcRenderer.invoke('prepare-mrpack-export', profileId),
+  exportMrpack: (profileId, options) => ipcRenderer.invoke('export-mrpack', profileId, options),
+  onMrpackImportProgress: (callback) => {
+    ipcRenderer.on('mrpack-import-progress', (event, data) => callback(data));
+  },
+  importPackwiz: () => ipcRenderer.invoke('import-packwiz'),
+  exportPackwiz: (profileId, options) => ipcRenderer.invoke('export-packwiz', profileId, options),
+  onPackwizImportProgress: (callback) => {
+    ipcRenderer.on('packwiz-import-progress', (event, data) => callback(data));
+  },
+  getLockfile: (profileId) => ipcRenderer.invoke('get-lockfile', profileId),
+  writeLockfile: (profileId) => ipcRenderer.invoke('write-lockfile', profileId),
+  importLockfile: (profileId) => ipcRenderer.invoke('import-lockfile', profileId),
+  exportLockfile: (profileId) => ipcRenderer.invoke('export-lockfile', profileId),
+  previewLockfileSync: (profileId) => ipcRenderer.invoke('preview-lockfile-sync', profileId),
+  syncLockfile: (profileId) => ipcRenderer.invoke('sync-lockfile', profileId),
+  onLockfileSyncProgress: (callback) => {
+    ipcRenderer.on('lockfile-sync-progress', (event, data) => callback(data));
+  },
   
   // Search and download
   searchMods: (query, filters) => ipcRenderer.invoke('search-mods', query, filters),
-  getModDetails: (projectId) => ipcRenderer.invoke('get-mod-details', projectId),
-  downloadMod: (versionData, fileName) => ipcRenderer.invoke('download-mod', versionData, fileName),
+  getModDetails: (projectId, providerId) => ipcRenderer.invoke('get-mod-details', projectId, providerId),
+  installModpack: (versionData, fileName, providerId) => ipcRenderer.invoke('install-modpack', versionData, fileName, providerId),
+  resolveInstallPlan: (versionData, fileName, includeOptional, providerId) => ipcRenderer.invoke('resolve-install-plan', versionData, fileName, includeOptional, providerId),
+  installPlan: (items) => ipcRenderer.invoke('install-plan', items),
+
+  // Download queue
+  getDownloads: () => ipcRenderer.invoke('get-downloads'),
+  pauseDownload: (id) => ipcRenderer.invoke('pause-download', id),
+  resumeDownload: (id) => ipcRenderer.invoke('resume-download', id),
+  cancelDownload: (id) => ipcRenderer.invoke('cancel-download', id),
+  clearFinishedDownloads: () => ipcRenderer.invoke('clear-finished-downloads'),
+  onDownloadQueueChanged: (callback) => {
+    ipcRenderer.on('download-queue-changed', (event, data) => callback(data));
+  },
+
+  // Offline mode
+  getOfflineStatus: () => ipcRenderer.invoke('get-offline-status'),
+  clearResponseCache: () => ipcRenderer.invoke('clear-response-cache'),
+  getGameTags: () => ipcRenderer.invoke('get-game-tags'),
+  setNetworkSettings: (network) => ipcRenderer.invoke('set-network-settings', network),
+  onPendingInstallsFinished: (callback) => {
+    ipcRenderer.on('pending-installs-finished', (event, data) => callback(data));
+  },
+  
+  // Mod sources
+  getProviders: () => ipcRenderer.invoke('get-providers'),
+  addProvider: (config) => ipcRenderer.invoke('add-provider', config),
+  removeProvider: (providerId) => ipcRenderer.invoke('remove-provider', providerId),
   
   // Mod management
   getInstalledMods: () => ipcRenderer.invoke('get-installed-mods'),
+  getInstalledPacks: (projectType) => ipcRenderer.invoke('get-installed-packs', projectType),
+  getWorlds: () => ipcRenderer.invoke('get-worlds'),
+  setModsEnabled: (modPaths, enabled) => ipcRenderer.invoke('set-mods-enabled', modPaths, enabled),
   deleteMod: (modPath) => ipcRenderer.invoke('delete-mod', modPath),
   openModsFolder: () => ipcRenderer.invoke('open-mods-folder'),
   
   // Update Manager APIs
   checkForUpdates: (profileId) => ipcRenderer.invoke('check-for-updates', profileId),
-  updateMods: (mods, profileId) => ipcRenderer.invoke('update-mods', mods, profileId),
+  updateMods: (mods, profileId, options) => ipcRenderer.invoke('update-mods', mods, profileId, options),
+  getUpdateHistory: (profileId) => ipcRenderer.invoke('get-update-history', profileId),
+  undoUpdateBatch: (profileId, batchId) => ipcRenderer.invoke('undo-update-batch', profileId, batchId),
+  getUpdateRules: (profileId) => ipcRenderer.invoke('get-update-rules', profileId),
+  setUpdateChannel: (profileId, channel) => ipcRenderer.invoke('set-update-channel', profileId, channel),
+  setModUpdateRule: (profileId, projectId, changes) => ipcRenderer.invoke('set-mod-update-rule', profileId, projectId, changes),
   getModRegistry: (profileId) => ipcRenderer.invoke('get-mod-registry', profileId),
   updateModRegistry: (profileId, modData) => ipcRenderer.invoke('update-mod-registry', profileId, modData),
   createModBackup: (modPath, profileId) => ipcRenderer.invoke('create-mod-backup', modPath, profileId),
-  restoreModBackup: (modPath, profileId) => ipcRenderer.invoke('restore-mod-backup', modPath, profileId),
+  listModBackups: (profileId) => ipcRenderer.invoke('list-mod-backups', profileId),
+  restoreModBackup: (backupId, profileId) => ipcRenderer.invoke('restore-mod-backup', backupId, profileId),
+  deleteModBackup: (backupId, profileId) => ipcRenderer.invoke('delete-mod-backup', backupId, profileId),
   
   // Update Manager Event Listeners
   onUpdateCheckStarted: (callback) => {
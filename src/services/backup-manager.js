@@ -0,0 +1,315 @@
+// src/services/backup-manager.js
+const fs = require('fs-extra');
+const path = require('path');
+const { isDisabledModFile, getModFileName, getFileNameForState } = require('../utils/mod-files');
+
+const INDEX_NAME = 'index.json';
+const BACKUP_NAME_PATTERN = /^(.+\.(?:jar|zip))\.backup\.(\d+)$/;
+const DEFAULT_RETENTION = { keepPerMod: 5, maxTotalSizeMB: 500 };
+
+// Jars replaced by updates, syncs and restores are copied to
+// profiles/<id>/backups/mods as <fileName>.backup.<timestamp>. index.json
+// next to them records the registry entry each jar had, so a restore can
+// put the mod's metadata back too. Backups from before the index existed
+// are still listed, just without a version. Resource, shader and data packs
+// are backed up the same way; their registryKey is their path in the game
+// directory (see utils/project-types).
+class BackupManager {
+  constructor(retention = {}) {
+    this.setRetention(retention);
+    this.pending = Promise.resolve();
+    // Backups a running update batch may still roll back to
+    this.held = new Set();
+    this.referencedBackups = async () => [];
+    this.registryWriter = null;
+  }
+
+  // source(profilePath) resolves to the IDs of backups that must outlive
+  // retention, e.g. the ones the update history can still undo
+  setReferencedBackups(source) {
+    this.referencedBackups = source;
+  }
+
+  // writer(profilePath, edit) applies edit(registry) to mod-registry.json,
+  // so restores share one write queue with whatever else edits it
+  setRegistryWriter(writer) {
+    this.registryWriter = writer;
+  }
+
+  release(backupIds) {
+    backupIds.forEach(id => this.held.delete(id));
+  }
+
+  // Parallel updates back up at the same time; index.json is a
+  // read-modify-write, so every change runs one after another
+  serialize(task) {
+    const run = this.pending.then(task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  // retention: { keepPerMod, maxTotalSizeMB }; 0 disables a limit
+  setRetention(retention = {}) {
+    this.retention = { ...DEFAULT_RETENTION, ...retention };
+  }
+
+  getBackupDir(profilePath) {
+    return path.join(profilePath, 'backups', 'mods');
+  }
+
+  // options.reason: why the file is being replaced, shown in the Backups view
+  // options.registryKey: the file's registry key, if not its file name
+  // options.hold: keep the backup from retention until release() is called
+  create(profilePath, filePath, options = {}) {
+    return this.serialize(async () => {
+      const backupPath = await this.writeBackup(profilePath, filePath, options);
+      if (options.hold) {
+        this.held.add(path.basename(backupPath));
+      }
+      await this.applyRetention(profilePath);
+      return backupPath;
+    });
+  }
+
+  async writeBackup(profilePath, filePath, { reason = 'update', registryKey } = {}) {
+    const backupDir = this.getBackupDir(profilePath);
+    const fileName = getModFileName(path.basename(filePath));
+    const key = registryKey || fileName;
+    const registry = await this.loadRegistry(profilePath);
+    const registryEntry = registry[key] || null;
+
+    await fs.ensureDir(backupDir);
+    let timestamp = Date.now();
+    while (await fs.pathExists(path.join(backupDir, `${fileName}.backup.${timestamp}`))) {
+      timestamp++;
+    }
+
+    const id = `${fileName}.backup.${timestamp}`;
+    const backupPath = path.join(backupDir, id);
+    await fs.copy(filePath, backupPath);
+
+    const index = await this.loadIndex(backupDir);
+    index[id] = {
+      fileName,
+      registryKey: key,
+      name: registryEntry ? registryEntry.name : getDisplayName(fileName),
+      version: registryEntry ? registryEntry.version || null : null,
+      projectId: registryEntry ? registryEntry.projectId || null : null,
+      disabled: isDisabledModFile(path.basename(filePath)),
+      size: (await fs.stat(backupPath)).size,
+      createdAt: new Date(timestamp).toISOString(),
+      reason,
+      registryEntry
+    };
+    await this.saveIndex(backupDir, index);
+    return backupPath;
+  }
+
+  // Newest first
+  async list(profilePath) {
+    const backupDir = this.getBackupDir(profilePath);
+    if (!await fs.pathExists(backupDir)) return [];
+
+    const index = await this.loadIndex(backupDir);
+    const backups = [];
+
+    for (const id of await fs.readdir(backupDir)) {
+      const match = BACKUP_NAME_PATTERN.exec(id);
+      if (!match) continue;
+
+      const entry = index[id] || {};
+      backups.push({
+        id,
+        fileName: match[1],
+        registryKey: entry.registryKey || match[1],
+        name: entry.name || getDisplayName(match[1]),
+        version: entry.version || null,
+        projectId: entry.projectId || null,
+        disabled: !!entry.disabled,
+        size: entry.size || (await fs.stat(path.join(backupDir, id))).size,
+        createdAt: entry.createdAt || new Date(parseInt(match[2], 10)).toISOString(),
+        reason: entry.reason || null,
+        hasRegistryEntry: !!entry.registryEntry
+      });
+    }
+
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Put a backed-up file back in targetDir. Whatever is installed for the
+  // same project now is backed up and removed first, and the registry entry
+  // the backup was taken with replaces the current one.
+  restore(profilePath, backupId, targetDir) {
+    return this.serialize(() => this.restoreBackup(profilePath, backupId, targetDir));
+  }
+
+  async restoreBackup(profilePath, backupId, targetDir) {
+    const backupDir = this.getBackupDir(profilePath);
+    const match = this.parseBackupId(backupId);
+    const backupPath = path.join(backupDir, backupId);
+    if (!await fs.pathExists(backupPath)) {
+      throw new Error(`Backup not found: ${backupId}`);
+    }
+
+    const entry = (await this.loadIndex(backupDir))[backupId] || {};
+    const fileName = entry.fileName || match[1];
+    const registryKey = entry.registryKey || fileName;
+    const registry = await this.loadRegistry(profilePath);
+
+    // The same project may be installed under another file name now
+    const replacing = Object.keys(registry).filter(key =>
+      key === registryKey || (entry.projectId && registry[key].projectId === entry.projectId)
+    );
+    if (!replacing.includes(registryKey)) {
+      replacing.push(registryKey);
+    }
+
+    const current = [];
+    for (const key of replacing) {
+      for (const enabled of [true, false]) {
+        const filePath = path.join(targetDir, getFileNameForState(path.posix.basename(key), enabled));
+        if (await fs.pathExists(filePath)) {
+          current.push({ key, filePath, enabled });
+        }
+      }
+    }
+
+    // Keep the mod enabled or disabled as it is now
+    const enabled = current.length > 0 ? current[0].enabled : !entry.disabled;
+    const target = path.join(targetDir, getFileNameForState(fileName, enabled));
+    const tempPath = `${target}.restoring`;
+    await fs.copy(backupPath, tempPath);
+
+    try {
+      for (const { key, filePath } of current) {
+        await this.writeBackup(profilePath, filePath, { reason: 'restore', registryKey: key });
+      }
+      for (const { filePath } of current) {
+        await fs.remove(filePath);
+      }
+      await fs.rename(tempPath, target);
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw error;
+    }
+
+    await this.editRegistry(profilePath, (updated) => {
+      replacing.forEach(key => { delete updated[key]; });
+      if (entry.registryEntry) {
+        updated[registryKey] = { ...entry.registryEntry, fileName: registryKey, restoredAt: new Date().toISOString() };
+      }
+    });
+
+    await this.applyRetention(profilePath);
+    return { fileName, version: entry.version || null, replaced: current.map(item => item.key) };
+  }
+
+  delete(profilePath, backupId) {
+    return this.serialize(() => this.deleteBackup(profilePath, backupId));
+  }
+
+  async deleteBackup(profilePath, backupId) {
+    const backupDir = this.getBackupDir(profilePath);
+    this.parseBackupId(backupId);
+
+    await fs.remove(path.join(backupDir, backupId));
+    const index = await this.loadIndex(backupDir);
+    delete index[backupId];
+    await this.saveIndex(backupDir, index);
+  }
+
+  // Keep the newest keepPerMod backups of each mod, then drop the oldest
+  // backups overall until they fit in maxTotalSizeMB. Held and referenced
+  // backups are never dropped.
+  enforceRetention(profilePath) {
+    return this.serialize(() => this.applyRetention(profilePath));
+  }
+
+  async applyRetention(profilePath) {
+    const { keepPerMod, maxTotalSizeMB } = this.retention;
+    const backups = await this.list(profilePath);
+    const keep = new Set([...this.held, ...await this.referencedBackups(profilePath)]);
+    const doomed = new Set();
+
+    if (keepPerMod > 0) {
+      const seen = new Map();
+      for (const backup of backups) {
+        const key = backup.projectId || backup.fileName;
+        const count = (seen.get(key) || 0) + 1;
+        seen.set(key, count);
+        if (count > keepPerMod && !keep.has(backup.id)) doomed.add(backup.id);
+      }
+    }
+
+    if (maxTotalSizeMB > 0) {
+      const maxBytes = maxTotalSizeMB * 1024 * 1024;
+      let total = backups.filter(b => !doomed.has(b.id)).reduce((sum, b) => sum + b.size, 0);
+      for (const backup of [...backups].reverse()) {
+        if (total <= maxBytes) break;
+        if (doomed.has(backup.id) || keep.has(backup.id)) continue;
+        doomed.add(backup.id);
+        total -= backup.size;
+      }
+    }
+
+    for (const id of doomed) {
+      await this.deleteBackup(profilePath, id);
+    }
+    return [...doomed];
+  }
+
+  // Backup IDs come from the renderer; only plain backup file names are valid
+  parseBackupId(backupId) {
+    const match = BACKUP_NAME_PATTERN.exec(backupId);
+    if (!match || backupId !== path.basename(backupId)) {
+      throw new Error(`Backup not found: ${backupId}`);
+    }
+    return match;
+  }
+
+  async loadIndex(backupDir) {
+    const indexPath = path.join(backupDir, INDEX_NAME);
+    if (!await fs.pathExists(indexPath)) return {};
+
+    try {
+      return await fs.readJson(indexPath);
+    } catch (error) {
+      console.warn('Ignoring unreadable backup index:', error.message);
+      return {};
+    }
+  }
+
+  async saveIndex(backupDir, index) {
+    const indexPath = path.join(backupDir, INDEX_NAME);
+    await fs.ensureDir(backupDir);
+    await fs.writeJson(`${indexPath}.tmp`, index, { spaces: 2 });
+    await fs.rename(`${indexPath}.tmp`, indexPath);
+  }
+
+  getRegistryPath(profilePath) {
+    return path.join(profilePath, 'mod-registry.json');
+  }
+
+  async loadRegistry(profilePath) {
+    const registryPath = this.getRegistryPath(profilePath);
+    return await fs.pathExists(registryPath) ? await fs.readJson(registryPath) : {};
+  }
+
+  async editRegistry(profilePath, edit) {
+    if (this.registryWriter) {
+      return this.registryWriter(profilePath, edit);
+    }
+
+    const registry = await this.loadRegistry(profilePath);
+    edit(registry);
+    await fs.outputJson(this.getRegistryPath(profilePath), registry, { spaces: 2 });
+  }
+}
+
+function getDisplayName(fileName) {
+  return fileName.replace(/\.(jar|zip)$/, '');
+}
+
+BackupManager.DEFAULT_RETENTION = DEFAULT_RETENTION;
+
+module.exports = BackupManager;
@@ -0,0 +1,257 @@
+// src/services/dependency-resolver.js
+const { DEFAULT_PROJECT_TYPE, isProjectType, getProjectLoaders } = require('../utils/project-types');
+
+class DependencyResolver {
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  // Build an install plan for a version without touching the disk.
+  // installedMods: [{ projectId, fileName, name, versionId, provider }] for
+  // the active profile. An installed copy of the root project goes in
+  // plan.replace and is swapped out by the install.
+  // includeOptional: project IDs of optional dependencies the user opted into
+  // providerId: the mod source the root version came from; dependencies are
+  // resolved against the same source
+  async resolve(rootVersion, rootFile, { gameVersion, loader, installedMods = [], includeOptional = [], providerId }) {
+    const provider = this.providers.get(providerId);
+    const installed = new Map(
+      installedMods.filter(mod => mod.projectId).map(mod => [mod.projectId, mod])
+    );
+    const optedIn = new Set(includeOptional);
+
+    const plan = {
+      root: null,
+      toInstall: [],
+      satisfied: [],
+      optional: [],
+      conflicts: [],
+      replace: []
+    };
+
+    const planned = new Map();
+    const rootItem = {
+      projectId: rootVersion.project_id,
+      provider: provider.id,
+      version: rootVersion,
+      file: rootFile || this.getPrimaryFile(rootVersion),
+      requiredBy: null
+    };
+
+    const previous = installed.get(rootItem.projectId);
+    if (previous) {
+      plan.replace.push({ projectId: previous.projectId, fileName: previous.fileName });
+      rootItem.replaces = previous.fileName;
+    }
+
+    plan.root = rootItem;
+    plan.toInstall.push(rootItem);
+    planned.set(rootItem.projectId, rootItem);
+
+    const queue = [rootItem];
+    const seenOptional = new Set();
+    const projectTypes = new Map();
+
+    while (queue.length > 0) {
+      const item = queue.shift();
+      await this.loadProjectTypes(provider, (item.version.dependencies || []).map(d => d.project_id), projectTypes);
+
+      for (const dependency of item.version.dependencies || []) {
+        const type = dependency.dependency_type;
+        if (type === 'embedded') continue;
+
+        let projectId = dependency.project_id;
+        let pinnedVersion = null;
+        if (!projectId && dependency.version_id) {
+          pinnedVersion = await provider.getVersion(dependency.version_id);
+          projectId = pinnedVersion.project_id;
+        }
+        if (!projectId) continue;
+
+        if (type === 'incompatible') {
+          const installedMod = installed.get(projectId);
+          const plannedItem = planned.get(projectId);
+          if (installedMod || plannedItem) {
+            plan.conflicts.push({
+              projectId,
+              fileName: installedMod ? installedMod.fileName : null,
+              declaredBy: item.projectId,
+              reason: 'incompatible'
+            });
+          }
+          continue;
+        }
+
+        if (installed.has(projectId)) {
+          if (!plan.satisfied.some(s => s.projectId === projectId)) {
+            plan.satisfied.push({
+              projectId,
+              fileName: installed.get(projectId).fileName,
+              requiredBy: item.projectId
+            });
+          }
+          continue;
+        }
+
+        if (planned.has(projectId)) continue;
+
+        const isRequired = type === 'required' || optedIn.has(projectId);
+        if (!isRequired && seenOptional.has(projectId)) continue;
+
+        await this.loadProjectTypes(provider, [projectId], projectTypes);
+        const projectType = projectTypes.get(projectId);
+        const version = pinnedVersion || await this.findCompatibleVersion(provider, dependency, gameVersion, loader, projectType);
+        if (!version) {
+          if (isRequired) {
+            plan.conflicts.push({
+              projectId,
+              fileName: null,
+              declaredBy: item.projectId,
+              reason: 'unavailable'
+            });
+          }
+          continue;
+        }
+
+        const dependencyItem = {
+          projectId,
+          provider: provider.id,
+          version,
+          file: this.getPrimaryFile(version),
+          projectType,
+          requiredBy: item.projectId
+        };
+
+        if (isRequired) {
+          plan.toInstall.push(dependencyItem);
+          planned.set(projectId, dependencyItem);
+          queue.push(dependencyItem);
+        }
+
+        if (type === 'optional') {
+          seenOptional.add(projectId);
+          plan.optional.push({ ...dependencyItem, selected: optedIn.has(projectId) });
+        }
+      }
+    }
+
+    await this.checkInstalledIncompatibilities(provider, plan, installedMods.filter(mod => mod !== previous));
+
+    await this.attachProjectNames(provider, plan, installed);
+    return plan;
+  }
+
+  // Installed mods can declare the incoming projects incompatible too; only
+  // mods from the same source have version data to check
+  async checkInstalledIncompatibilities(provider, plan, installedMods) {
+    const sameSource = installedMods.filter(mod => mod.versionId && mod.projectId && (mod.provider || provider.id) === provider.id);
+    if (sameSource.length === 0) return;
+
+    let versions;
+    try {
+      versions = await provider.getVersions(sameSource.map(mod => mod.versionId));
+    } catch (error) {
+      console.warn('Failed to check installed mods for incompatibilities:', error);
+      return;
+    }
+
+    const incoming = new Set(plan.toInstall.map(item => item.projectId));
+    for (const version of versions) {
+      const mod = sameSource.find(m => m.versionId === version.id);
+      if (!mod) continue;
+
+      for (const dependency of version.dependencies || []) {
+        if (dependency.dependency_type !== 'incompatible' || !incoming.has(dependency.project_id)) continue;
+        if (plan.conflicts.some(c => c.projectId === dependency.project_id && c.declaredBy === mod.projectId)) continue;
+
+        plan.conflicts.push({
+          projectId: dependency.project_id,
+          fileName: mod.fileName,
+          declaredBy: mod.projectId,
+          declaredByInstalled: true,
+          reason: 'incompatible'
+        });
+      }
+    }
+  }
+
+  // Dependencies can be packs, which are filed under their own loaders
+  // rather than the profile's (see getProjectLoaders)
+  async findCompatibleVersion(provider, dependency, gameVersion, loader, projectType = DEFAULT_PROJECT_TYPE) {
+    if (dependency.version_id) {
+      return await provider.getVersion(dependency.version_id);
+    }
+
+    // Sources without game version data (local folders) report an empty list
+    const loaders = [].concat(getProjectLoaders(projectType, loader));
+    const versions = await provider.getProjectVersions(dependency.project_id, gameVersion, loaders);
+    return versions.find(v =>
+      (v.game_versions.length === 0 || v.game_versions.includes(gameVersion)) &&
+      v.loaders.some(l => loaders.includes(l))
+    ) || null;
+  }
+
+  // Record the project type of each project not looked up yet. Sources that
+  // don't report one (local folders), or a failed lookup, mean a mod.
+  async loadProjectTypes(provider, projectIds, projectTypes) {
+    const missing = [...new Set(projectIds.filter(id => id && !projectTypes.has(id)))];
+    if (missing.length === 0) return;
+
+    let projects = [];
+    try {
+      projects = await provider.getProjects(missing);
+    } catch (error) {
+      console.warn('Failed to get dependency project types:', error);
+    }
+
+    missing.forEach(id => {
+      const project = projects.find(p => p.id === id);
+      const type = project && project.project_type;
+      projectTypes.set(id, isProjectType(type) ? type : DEFAULT_PROJECT_TYPE);
+    });
+  }
+
+  getPrimaryFile(version) {
+    return version.files.find(f => f.primary) || version.files[0];
+  }
+
+  async attachProjectNames(provider, plan, installed) {
+    const items = [...plan.toInstall, ...plan.satisfied, ...plan.optional, ...plan.conflicts, ...plan.replace];
+    const projectIds = new Set();
+    items.forEach(item => {
+      projectIds.add(item.projectId);
+      if (item.requiredBy) projectIds.add(item.requiredBy);
+      if (item.declaredBy) projectIds.add(item.declaredBy);
+    });
+
+    let titles = new Map();
+    try {
+      const projects = await provider.getProjects([...projectIds]);
+      titles = new Map(projects.map(p => [p.id, p.title]));
+    } catch (error) {
+      console.warn('Failed to get project names for install plan:', error);
+    }
+
+    const nameOf = (projectId) => titles.get(projectId)
+      || (installed.get(projectId) && installed.get(projectId).name)
+      || projectId;
+
+    items.forEach(item => {
+      item.name = nameOf(item.projectId);
+      if (item.requiredBy) item.requiredByName = nameOf(item.requiredBy);
+      if (item.declaredBy) item.declaredByName = nameOf(item.declaredBy);
+    });
+
+    plan.conflicts.forEach(conflict => {
+      if (conflict.reason !== 'incompatible') {
+        conflict.message = `${conflict.declaredByName} requires ${conflict.name}, but no version is available for this game version and loader`;
+      } else if (conflict.declaredByInstalled) {
+        conflict.message = `The installed ${conflict.declaredByName} (${conflict.fileName}) is incompatible with ${conflict.name}`;
+      } else {
+        conflict.message = `${conflict.declaredByName} is incompatible with ${conflict.name}${conflict.fileName ? ` (${conflict.fileName})` : ''}`;
+      }
+    });
+  }
+}
+
+module.exports = DependencyResolver;
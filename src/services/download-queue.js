@@ -0,0 +1,252 @@
+// src/services/download-queue.js
+const fs = require('fs-extra');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { streamToFile, verifyFile } = require('../utils/download');
+
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 1000;
+const PROGRESS_INTERVAL_MS = 250;
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+// Every download in the app goes through one queue so parallelism is
+// bounded and the Downloads panel can show and control each file:
+//   queued -> downloading -> verifying -> completed
+// A download can be paused (the partial file is kept and continued with a
+// Range request on resume) or cancelled at any point before it finishes.
+// Network errors are retried with exponential backoff; the caller's promise
+// settles once the file is in place, has failed for good or was cancelled.
+class DownloadQueue extends EventEmitter {
+  // http: the HttpClient files are fetched with
+  constructor({ concurrency = DEFAULT_CONCURRENCY, attempts = DEFAULT_ATTEMPTS, retryDelay = RETRY_DELAY_MS, http } = {}) {
+    super();
+    this.http = http;
+    this.concurrency = concurrency;
+    this.attempts = attempts;
+    this.retryDelay = retryDelay;
+    this.items = new Map();
+    this.active = 0;
+    this.nextId = 1;
+  }
+
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, concurrency);
+    this.pump();
+  }
+
+  // file: { url, destination, hashes, size, name }
+  add({ url, destination, hashes = {}, size, name }, { onProgress } = {}) {
+    const id = String(this.nextId++);
+    const item = {
+      id,
+      name: name || path.basename(destination),
+      url,
+      destination,
+      partialPath: path.join(path.dirname(destination), `.${path.basename(destination)}.${id}.lumen-download`),
+      hashes,
+      size,
+      state: 'queued',
+      received: 0,
+      total: size || 0,
+      attempt: 1,
+      error: null,
+      addedAt: new Date().toISOString(),
+      onProgress
+    };
+
+    const promise = new Promise((resolve, reject) => {
+      item.resolve = resolve;
+      item.reject = reject;
+    });
+
+    this.items.set(id, item);
+    this.changed(item);
+    this.pump();
+    return promise;
+  }
+
+  list() {
+    return [...this.items.values()].map(item => this.snapshot(item));
+  }
+
+  pause(id) {
+    const item = this.getItem(id);
+    if (!['queued', 'downloading', 'retrying'].includes(item.state)) return;
+
+    clearTimeout(item.retryTimer);
+    const wasDownloading = item.state === 'downloading';
+    item.state = 'paused';
+    if (wasDownloading) {
+      item.controller.abort();
+    }
+    this.changed(item);
+  }
+
+  resume(id) {
+    const item = this.getItem(id);
+    if (item.state !== 'paused') return;
+
+    item.state = 'queued';
+    this.changed(item);
+    this.pump();
+  }
+
+  cancel(id) {
+    const item = this.getItem(id);
+    if (FINISHED_STATES.includes(item.state)) return;
+
+    clearTimeout(item.retryTimer);
+    const wasDownloading = item.state === 'downloading';
+    item.state = 'cancelled';
+    if (wasDownloading) {
+      // run() removes the partial file once the request has stopped
+      item.controller.abort();
+    } else {
+      fs.remove(item.partialPath).catch(() => {});
+    }
+
+    item.reject(new Error(`Download of ${item.name} was cancelled`));
+    this.changed(item);
+  }
+
+  clearFinished() {
+    for (const [id, item] of this.items) {
+      if (FINISHED_STATES.includes(item.state)) {
+        this.items.delete(id);
+      }
+    }
+    this.emit('cleared');
+  }
+
+  pump() {
+    for (const item of this.items.values()) {
+      if (this.active >= this.concurrency) return;
+      if (item.state === 'queued') {
+        this.run(item);
+      }
+    }
+  }
+
+  async run(item) {
+    this.active++;
+    item.state = 'downloading';
+    item.error = null;
+    item.controller = new AbortController();
+    this.changed(item);
+
+    let lastEmit = 0;
+    try {
+      await fs.ensureDir(path.dirname(item.destination));
+      await streamToFile(item.url, item.partialPath, {
+        resume: true,
+        signal: item.controller.signal,
+        http: this.http,
+        onProgress: (progress, { received, total }) => {
+          item.received = received;
+          item.total = total || item.total;
+          if (item.onProgress) item.onProgress(progress);
+
+          const now = Date.now();
+          if (now - lastEmit >= PROGRESS_INTERVAL_MS) {
+            lastEmit = now;
+            this.changed(item);
+          }
+        }
+      });
+
+      if (item.state !== 'downloading') return;
+      item.state = 'verifying';
+      this.changed(item);
+
+      try {
+        await verifyFile(item.partialPath, { hashes: item.hashes, size: item.size });
+      } catch (error) {
+        // A corrupt partial file can't be resumed; start over
+        await fs.remove(item.partialPath);
+        throw error;
+      }
+
+      if (item.state !== 'verifying') return;
+      await fs.rename(item.partialPath, item.destination);
+      item.state = 'completed';
+      item.received = item.total;
+      item.resolve(item.destination);
+      this.changed(item);
+    } catch (error) {
+      this.handleFailure(item, error);
+    } finally {
+      this.active--;
+      this.pump();
+    }
+  }
+
+  handleFailure(item, error) {
+    if (item.state === 'paused') return;
+    if (item.state === 'cancelled') {
+      fs.remove(item.partialPath).catch(() => {});
+      return;
+    }
+
+    const message = error.message;
+    item.error = message;
+
+    if (this.isRetryable(error) && item.attempt < this.attempts) {
+      const delay = this.retryDelay * 2 ** (item.attempt - 1);
+      console.warn(`Download of ${item.name} failed (attempt ${item.attempt}/${this.attempts}), retrying in ${delay}ms:`, message);
+
+      item.attempt++;
+      item.state = 'retrying';
+      item.retryAt = Date.now() + delay;
+      item.retryTimer = setTimeout(() => {
+        if (item.state !== 'retrying') return;
+        item.state = 'queued';
+        this.changed(item);
+        this.pump();
+      }, delay);
+      this.changed(item);
+      return;
+    }
+
+    item.state = 'failed';
+    fs.remove(item.partialPath).catch(() => {});
+    item.reject(new Error(`Failed to download ${item.name} after ${item.attempt} ${item.attempt === 1 ? 'attempt' : 'attempts'}: ${message}`));
+    this.changed(item);
+  }
+
+  // Client errors won't go away by asking again, except timeouts and rate limits
+  isRetryable(error) {
+    const status = error.response && error.response.status;
+    if (!status) return true;
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  getItem(id) {
+    const item = this.items.get(id);
+    if (!item) {
+      throw new Error(`Unknown download: ${id}`);
+    }
+    return item;
+  }
+
+  changed(item) {
+    this.emit('changed', this.snapshot(item));
+  }
+
+  snapshot(item) {
+    return {
+      id: item.id,
+      name: item.name,
+      destination: item.destination,
+      state: item.state,
+      received: item.received,
+      total: item.total,
+      attempt: item.attempt,
+      error: item.error,
+      retryAt: item.state === 'retrying' ? item.retryAt : null,
+      addedAt: item.addedAt
+    };
+  }
+}
+
+module.exports = DownloadQueue;
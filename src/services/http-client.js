@@ -0,0 +1,188 @@
+// src/services/http-client.js
+const axios = require('axios');
+
+const USER_AGENT = 'Lumen-Mod-Manager/1.0.0';
+const DEFAULT_TIMEOUT_MS = 30000;
+const RATE_LIMIT_RETRIES = 2;
+// Stop this many requests short of the limit, leaving room for requests
+// that are already in flight
+const RATE_LIMIT_RESERVE = 2;
+const MAX_RATE_LIMIT_WAIT_MS = 60000;
+
+// An HTTP failure with a message fit to show the user. status is the HTTP
+// status, if the server answered; code is the network error code otherwise.
+// response is kept so callers can still inspect what the server sent.
+class HttpError extends Error {
+  constructor(message, { url, status = null, code = null, response = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+    this.code = code;
+    this.response = response;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The one place the app talks HTTP. Every request gets the same User-Agent
+// and timeout, goes through the configured proxy and waits whenever a host's
+// X-Ratelimit-* headers say its budget is used up.
+class HttpClient {
+  // options: { proxy, timeout } - proxy is an http(s):// or socks:// URL
+  constructor(options = {}) {
+    this.rateLimits = new Map();
+    this.configure(options);
+  }
+
+  configure({ proxy = null, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+    // Build the agent first so a bad proxy URL leaves the old setup in place
+    const agent = proxy ? this.createProxyAgent(proxy) : null;
+    this.proxy = proxy || null;
+    this.timeout = timeout;
+    this.agent = agent;
+  }
+
+  createProxyAgent(proxyUrl) {
+    let protocol;
+    try {
+      protocol = new URL(proxyUrl).protocol;
+    } catch (error) {
+      throw new Error(`Invalid proxy URL: ${proxyUrl}`);
+    }
+
+    if (protocol === 'http:' || protocol === 'https:') {
+      const { HttpsProxyAgent } = require('https-proxy-agent');
+      return new HttpsProxyAgent(proxyUrl);
+    }
+    if (protocol.startsWith('socks')) {
+      const { SocksProxyAgent } = require('socks-proxy-agent');
+      return new SocksProxyAgent(proxyUrl);
+    }
+    throw new Error(`Unsupported proxy protocol: ${protocol}`);
+  }
+
+  // Takes an axios request config and resolves to the axios response
+  async request(config) {
+    const host = this.getHost(config.url);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit(host);
+
+      try {
+        const response = await axios({
+          timeout: this.timeout,
+          ...config,
+          headers: { 'User-Agent': USER_AGENT, ...config.headers },
+          ...(this.agent ? { httpAgent: this.agent, httpsAgent: this.agent, proxy: false } : {})
+        });
+        this.updateRateLimit(host, response.headers);
+        return response;
+      } catch (error) {
+        if (axios.isCancel(error)) throw error;
+
+        const response = error.response;
+        if (response) {
+          this.updateRateLimit(host, response.headers);
+        }
+
+        const retryAfter = response && response.status === 429 ? this.getRetryAfter(response.headers) : null;
+        if (retryAfter !== null && retryAfter <= MAX_RATE_LIMIT_WAIT_MS && attempt < RATE_LIMIT_RETRIES) {
+          console.warn(`Rate limited by ${host}, retrying in ${Math.ceil(retryAfter / 1000)}s`);
+          await new Promise(resolve => setTimeout(resolve, retryAfter));
+          continue;
+        }
+
+        throw this.toHttpError(error, config.url, retryAfter);
+      }
+    }
+  }
+
+  async get(url, config = {}) {
+    return this.request({ ...config, method: 'GET', url });
+  }
+
+  // Modrinth sends X-Ratelimit-Limit, -Remaining and -Reset (seconds until
+  // the window resets) on every API response
+  updateRateLimit(host, headers = {}) {
+    const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+    if (isNaN(remaining) || isNaN(reset)) return;
+
+    this.rateLimits.set(host, { remaining, resetAt: Date.now() + reset * 1000 });
+  }
+
+  async waitForRateLimit(host) {
+    const limit = this.rateLimits.get(host);
+    if (!limit) return;
+
+    if (Date.now() >= limit.resetAt) {
+      this.rateLimits.delete(host);
+      return;
+    }
+
+    if (limit.remaining <= RATE_LIMIT_RESERVE) {
+      const wait = Math.min(limit.resetAt - Date.now(), MAX_RATE_LIMIT_WAIT_MS);
+      console.warn(`Rate limit for ${host} nearly used up, waiting ${Math.ceil(wait / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, wait));
+      this.rateLimits.delete(host);
+      return;
+    }
+
+    // Count requests sent before the next response updates the budget
+    limit.remaining--;
+  }
+
+  // Milliseconds to wait before asking again, from Retry-After or the reset header
+  getRetryAfter(headers = {}) {
+    const retryAfter = parseInt(headers['retry-after'], 10);
+    if (!isNaN(retryAfter)) return retryAfter * 1000;
+
+    const reset = parseInt(headers['x-ratelimit-reset'], 10);
+    return isNaN(reset) ? null : reset * 1000;
+  }
+
+  toHttpError(error, url, retryAfter) {
+    const host = this.getHost(url);
+    const response = error.response;
+
+    if (response) {
+      const { status } = response;
+      let message;
+      if (status === 429) {
+        message = `${host} is rate limiting requests${retryAfter !== null ? `; try again in ${Math.ceil(retryAfter / 1000)}s` : ''}`;
+      } else {
+        // Modrinth describes API errors in { error, description }
+        const description = response.data && typeof response.data === 'object' && !response.data.pipe
+          ? response.data.description
+          : null;
+        message = `${host} returned ${status}${response.statusText ? ` ${response.statusText}` : ''}${description ? `: ${description}` : ''}`;
+      }
+      return new HttpError(message, { url, status, response, retryAfter });
+    }
+
+    const code = error.code || null;
+    let message;
+    if (code === 'ECONNABORTED' || code === 'ETIMEDOUT') {
+      message = `${host} did not respond within ${Math.round(this.timeout / 1000)}s`;
+    } else if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') {
+      message = `Could not find ${host}; check your connection${this.proxy ? ' and proxy' : ''}`;
+    } else if (code === 'ECONNREFUSED' || code === 'ECONNRESET') {
+      message = `Could not connect to ${this.proxy ? `the proxy or ${host}` : host} (${code})`;
+    } else {
+      message = `Request to ${host} failed: ${error.message}`;
+    }
+    return new HttpError(message, { url, code });
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return url;
+    }
+  }
+}
+
+HttpClient.HttpError = HttpError;
+
+module.exports = HttpClient;
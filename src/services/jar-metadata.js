@@ -0,0 +1,239 @@
+// src/services/jar-metadata.js
+const fs = require('fs-extra');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const TOML = require('@iarna/toml');
+const { hashFile } = require('../utils/hash');
+
+// Bump when the parsed shape changes so stale cache entries are re-read
+const CACHE_VERSION = 1;
+
+class JarMetadataReader {
+  constructor(cacheDir) {
+    this.cacheDir = cacheDir;
+    this.cachePath = path.join(cacheDir, 'jar-metadata.json');
+    this.iconsDir = path.join(cacheDir, 'icons');
+    this.cache = null;
+  }
+
+  async loadCache() {
+    if (this.cache) return this.cache;
+
+    try {
+      if (await fs.pathExists(this.cachePath)) {
+        const cache = await fs.readJson(this.cachePath);
+        if (cache.version === CACHE_VERSION) {
+          this.cache = cache;
+          return this.cache;
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load jar metadata cache:', error);
+    }
+
+    // files: path -> { size, mtimeMs, sha1 } so unchanged jars skip hashing
+    // entries: sha1 -> parsed metadata
+    this.cache = { version: CACHE_VERSION, files: {}, entries: {} };
+    return this.cache;
+  }
+
+  async saveCache() {
+    if (!this.cache) return;
+
+    try {
+      await fs.ensureDir(this.cacheDir);
+      await fs.writeJson(this.cachePath, this.cache);
+    } catch (error) {
+      console.warn('Failed to save jar metadata cache:', error);
+    }
+  }
+
+  async readAll(filePaths) {
+    await this.loadCache();
+    const results = {};
+
+    for (const filePath of filePaths) {
+      try {
+        results[filePath] = await this.read(filePath);
+      } catch (error) {
+        console.warn(`Failed to read metadata from ${path.basename(filePath)}:`, error);
+        results[filePath] = null;
+      }
+    }
+
+    await this.saveCache();
+    return results;
+  }
+
+  async read(filePath) {
+    const cache = await this.loadCache();
+    const sha1 = await this.getSha1(filePath);
+
+    if (!cache.entries[sha1]) {
+      cache.entries[sha1] = await this.parseJar(filePath, sha1);
+    }
+
+    return { sha1, ...cache.entries[sha1] };
+  }
+
+  // Only re-hashed when the file's size or modification time changed
+  async getSha1(filePath) {
+    const cache = await this.loadCache();
+    const stats = await fs.stat(filePath);
+
+    const known = cache.files[filePath];
+    if (known && known.size === stats.size && known.mtimeMs === stats.mtimeMs) {
+      return known.sha1;
+    }
+
+    const { sha1 } = await hashFile(filePath, ['sha1']);
+    cache.files[filePath] = { size: stats.size, mtimeMs: stats.mtimeMs, sha1 };
+    return sha1;
+  }
+
+  async parseJar(filePath, sha1) {
+    const zip = new AdmZip(filePath);
+    const metadata = this.parseFabric(zip)
+      || this.parseQuilt(zip)
+      || this.parseModsToml(zip, 'META-INF/neoforge.mods.toml', 'neoforge')
+      || this.parseModsToml(zip, 'META-INF/mods.toml', 'forge');
+
+    if (!metadata) {
+      return { modId: null, loader: null, iconFile: null };
+    }
+
+    const { icon, ...rest } = metadata;
+    return { ...rest, iconFile: await this.extractIcon(zip, icon, sha1) };
+  }
+
+  parseFabric(zip) {
+    const json = this.readJson(zip, 'fabric.mod.json');
+    if (!json) return null;
+
+    return {
+      modId: json.id || null,
+      displayName: json.name || json.id || null,
+      version: json.version || null,
+      description: json.description || null,
+      authors: this.normalizePeople(json.authors),
+      license: this.normalizeLicense(json.license),
+      loader: 'fabric',
+      icon: this.pickIcon(json.icon)
+    };
+  }
+
+  parseQuilt(zip) {
+    const json = this.readJson(zip, 'quilt.mod.json');
+    const loaderInfo = json && json.quilt_loader;
+    if (!loaderInfo) return null;
+
+    const meta = loaderInfo.metadata || {};
+    return {
+      modId: loaderInfo.id || null,
+      displayName: meta.name || loaderInfo.id || null,
+      version: loaderInfo.version || null,
+      description: meta.description || null,
+      authors: Object.keys(meta.contributors || {}),
+      license: this.normalizeLicense(meta.license),
+      loader: 'quilt',
+      icon: this.pickIcon(meta.icon)
+    };
+  }
+
+  parseModsToml(zip, entryName, loader) {
+    const text = this.readText(zip, entryName);
+    if (!text) return null;
+
+    let toml;
+    try {
+      toml = TOML.parse(text);
+    } catch (error) {
+      console.warn(`Invalid ${entryName}:`, error.message);
+      return null;
+    }
+
+    const mod = Array.isArray(toml.mods) ? toml.mods[0] : null;
+    if (!mod) return null;
+
+    let version = mod.version || null;
+    if (version && version.includes('${file.jarVersion}')) {
+      // Forge substitutes this from the manifest at load time
+      version = this.readManifestVersion(zip) || null;
+    }
+
+    const authors = mod.authors || toml.authors;
+    return {
+      modId: mod.modId || null,
+      displayName: mod.displayName || mod.modId || null,
+      version,
+      description: mod.description ? String(mod.description).trim() : null,
+      authors: authors ? String(authors).split(/\s*,\s*/).filter(Boolean) : [],
+      license: toml.license || null,
+      loader,
+      icon: mod.logoFile || toml.logoFile || null
+    };
+  }
+
+  readManifestVersion(zip) {
+    const manifest = this.readText(zip, 'META-INF/MANIFEST.MF');
+    const match = manifest && manifest.match(/^Implementation-Version:\s*(.+)$/m);
+    return match ? match[1].trim() : null;
+  }
+
+  readText(zip, entryName) {
+    const entry = zip.getEntry(entryName);
+    return entry ? entry.getData().toString('utf8') : null;
+  }
+
+  readJson(zip, entryName) {
+    const text = this.readText(zip, entryName);
+    if (!text) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // Some mods ship raw newlines inside strings, which Fabric tolerates
+      try {
+        return JSON.parse(text.replace(/[\r\n\t]+/g, ' '));
+      } catch (retryError) {
+        console.warn(`Invalid ${entryName}:`, retryError.message);
+        return null;
+      }
+    }
+  }
+
+  normalizePeople(people) {
+    if (!Array.isArray(people)) return [];
+    return people
+      .map(person => typeof person === 'string' ? person : person && person.name)
+      .filter(Boolean);
+  }
+
+  normalizeLicense(license) {
+    if (!license) return null;
+    return Array.isArray(license) ? license.join(', ') : String(license);
+  }
+
+  // Icons may be a path or a map of size -> path; prefer the largest
+  pickIcon(icon) {
+    if (!icon) return null;
+    if (typeof icon === 'string') return icon;
+
+    const sizes = Object.keys(icon).sort((a, b) => Number(b) - Number(a));
+    return sizes.length > 0 ? icon[sizes[0]] : null;
+  }
+
+  async extractIcon(zip, iconPath, sha1) {
+    if (!iconPath) return null;
+
+    const entry = zip.getEntry(iconPath.replace(/^\/+/, ''));
+    if (!entry) return null;
+
+    const iconFile = path.join(this.iconsDir, `${sha1}${path.extname(iconPath) || '.png'}`);
+    await fs.ensureDir(this.iconsDir);
+    await fs.writeFile(iconFile, entry.getData());
+    return iconFile;
+  }
+}
+
+module.exports = JarMetadataReader;
@@ -0,0 +1,262 @@
+// src/services/lockfile.js
+const fs = require('fs-extra');
+const path = require('path');
+const { hashFile } = require('../utils/hash');
+const { isModFile, isDisabledModFile, getModFileName, getFileNameForState } = require('../utils/mod-files');
+
+const LOCKFILE_NAME = 'mods.lock.json';
+const LOCKFILE_VERSION = 1;
+
+// The lockfile pins the exact jar for every mod in a profile. It is written
+// deterministically (sorted, no timestamps) so it diffs cleanly in a repo.
+class LockfileService {
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  getLockPath(profilePath) {
+    return path.join(profilePath, LOCKFILE_NAME);
+  }
+
+  async read(profilePath) {
+    const lockPath = this.getLockPath(profilePath);
+    if (!await fs.pathExists(lockPath)) return null;
+    return this.parse(await fs.readFile(lockPath, 'utf8'));
+  }
+
+  parse(text) {
+    let lock;
+    try {
+      lock = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid lockfile: ${error.message}`);
+    }
+
+    if (lock.lockfileVersion !== LOCKFILE_VERSION || !Array.isArray(lock.mods)) {
+      throw new Error(`Unsupported lockfile version ${lock.lockfileVersion}`);
+    }
+
+    for (const mod of lock.mods) {
+      if (!mod.fileName || !isModFile(mod.fileName) || mod.fileName !== path.basename(mod.fileName)) {
+        throw new Error(`Invalid file name in lockfile: ${mod.fileName}`);
+      }
+      if (!mod.hashes || !mod.hashes.sha1) {
+        throw new Error(`Lockfile entry ${mod.fileName} has no hash`);
+      }
+    }
+
+    return lock;
+  }
+
+  async write(profilePath, lock) {
+    const lockPath = this.getLockPath(profilePath);
+    const tempPath = `${lockPath}.tmp`;
+    await fs.ensureDir(profilePath);
+    await fs.writeFile(tempPath, this.serialize(lock));
+    await fs.rename(tempPath, lockPath);
+    return lockPath;
+  }
+
+  serialize(lock) {
+    // Plain code point order so every machine writes the same file
+    const mods = [...lock.mods].sort((a, b) => (a.fileName < b.fileName ? -1 : a.fileName > b.fileName ? 1 : 0));
+    return JSON.stringify({ ...lock, mods }, null, 2) + '\n';
+  }
+
+  // Pin every jar in the mods folder. Each one is matched against the mod
+  // sources so the lockfile carries a download URL; jars no source knows are
+  // pinned by hash only and can't be fetched by sync.
+  async generate(modsDir, registry, profile) {
+    const files = await fs.pathExists(modsDir) ? (await fs.readdir(modsDir)).filter(isModFile) : [];
+
+    const hashed = [];
+    for (const file of files) {
+      const filePath = path.join(modsDir, file);
+      hashed.push({
+        fileName: getModFileName(file),
+        disabled: isDisabledModFile(file),
+        hashes: await hashFile(filePath),
+        size: (await fs.stat(filePath)).size
+      });
+    }
+
+    const { matches, complete } = await this.providers.identifyFiles(hashed);
+    if (!complete) {
+      throw new Error('Could not reach every mod source, so some mods could not be pinned; try again when online');
+    }
+
+    const mods = hashed.map(mod => {
+      const match = matches.get(mod.fileName);
+      const registered = registry[mod.fileName] || {};
+      const entry = {
+        fileName: mod.fileName,
+        name: match ? match.title || registered.name || mod.fileName : registered.name || mod.fileName.replace(/\.jar$/, ''),
+        provider: match ? match.provider : null,
+        projectId: match ? match.version.project_id : null,
+        versionId: match ? match.version.id : null,
+        version: match ? match.version.version_number : registered.version || null,
+        hashes: { sha1: mod.hashes.sha1, sha512: mod.hashes.sha512 },
+        size: mod.size,
+        url: null
+      };
+
+      if (match) {
+        const file = match.version.files.find(f => f.hashes.sha1 === mod.hashes.sha1);
+        entry.url = file ? file.url : null;
+      }
+      if (mod.disabled) {
+        entry.disabled = true;
+      }
+      return entry;
+    });
+
+    return {
+      lockfileVersion: LOCKFILE_VERSION,
+      name: profile.name,
+      gameVersion: profile.gameVersion,
+      loader: profile.loader,
+      mods
+    };
+  }
+
+  // Work out what sync would change without touching anything
+  async planSync(lock, modsDir) {
+    // Keyed by the name on disk, so x.jar and x.jar.disabled side by side
+    // are both seen
+    const present = new Map();
+    const files = await fs.pathExists(modsDir) ? (await fs.readdir(modsDir)).filter(isModFile) : [];
+    for (const file of files) {
+      const filePath = path.join(modsDir, file);
+      present.set(file, {
+        filePath,
+        disabled: isDisabledModFile(file),
+        sha1: (await hashFile(filePath, ['sha1'])).sha1
+      });
+    }
+
+    const plan = { add: [], replace: [], remove: [], toggle: [], unavailable: [], unchanged: 0 };
+    const locked = new Set();
+
+    for (const entry of lock.mods) {
+      // Prefer the copy already in the state the lockfile wants
+      const currentName = [
+        getFileNameForState(entry.fileName, !entry.disabled),
+        getFileNameForState(entry.fileName, !!entry.disabled)
+      ].find(name => present.has(name));
+      const current = currentName ? present.get(currentName) : null;
+      if (currentName) {
+        locked.add(currentName);
+      }
+
+      if (current && current.sha1 === entry.hashes.sha1.toLowerCase()) {
+        if (current.disabled !== !!entry.disabled) {
+          plan.toggle.push({ entry, filePath: current.filePath });
+        } else {
+          plan.unchanged++;
+        }
+        continue;
+      }
+
+      if (!this.canDownload(entry)) {
+        plan.unavailable.push({
+          entry,
+          reason: entry.url
+            ? `mod source "${entry.provider}" is not set up here`
+            : 'not available from any mod source'
+        });
+        continue;
+      }
+
+      if (current) {
+        plan.replace.push({ entry, filePath: current.filePath });
+      } else {
+        plan.add.push({ entry });
+      }
+    }
+
+    for (const [fileName, current] of present) {
+      if (!locked.has(fileName)) {
+        plan.remove.push({ fileName, registryKey: getModFileName(fileName), filePath: current.filePath });
+      }
+    }
+
+    return plan;
+  }
+
+  canDownload(entry) {
+    return !!(entry.url && entry.provider && this.providers.has(entry.provider));
+  }
+
+  // Jars that get replaced or removed are passed to backup(filePath) first.
+  // Returns the file names that now match the lockfile.
+  async applySync(plan, modsDir, backup, onProgress = () => {}) {
+    const downloads = [...plan.add, ...plan.replace];
+    const total = downloads.length + plan.remove.length + plan.toggle.length;
+    let current = 0;
+
+    await fs.ensureDir(modsDir);
+    for (const { filePath } of [...plan.replace, ...plan.remove]) {
+      await backup(filePath);
+    }
+
+    for (const { entry, filePath } of downloads) {
+      onProgress({ fileName: entry.fileName, current: ++current, total });
+
+      const target = path.join(modsDir, getFileNameForState(entry.fileName, !entry.disabled));
+      await this.providers.get(entry.provider).download({
+        url: entry.url,
+        filename: entry.fileName,
+        hashes: entry.hashes,
+        size: entry.size
+      }, target);
+
+      if (filePath && filePath !== target) {
+        await fs.remove(filePath);
+      }
+    }
+
+    for (const { fileName, filePath } of plan.remove) {
+      onProgress({ fileName, current: ++current, total });
+      await fs.remove(filePath);
+    }
+
+    for (const { entry, filePath } of plan.toggle) {
+      onProgress({ fileName: entry.fileName, current: ++current, total });
+      await fs.rename(filePath, path.join(modsDir, getFileNameForState(entry.fileName, !entry.disabled)));
+    }
+
+    return [...downloads, ...plan.toggle].map(item => item.entry.fileName);
+  }
+
+  // Registry entries matching what sync put in place
+  toRegistryEntries(lock, fileNames) {
+    const syncedAt = new Date().toISOString();
+    const entries = {};
+
+    for (const entry of lock.mods.filter(mod => fileNames.includes(mod.fileName))) {
+      entries[entry.fileName] = entry.projectId ? {
+        name: entry.name,
+        version: entry.version,
+        projectId: entry.projectId,
+        provider: entry.provider,
+        fileName: entry.fileName,
+        syncedAt,
+        versionId: entry.versionId,
+        hashes: entry.hashes,
+        url: entry.url
+      } : {
+        name: entry.name,
+        fileName: entry.fileName,
+        syncedAt,
+        unknownSource: true,
+        hashes: entry.hashes
+      };
+    }
+
+    return entries;
+  }
+}
+
+LockfileService.LOCKFILE_NAME = LOCKFILE_NAME;
+
+module.exports = LockfileService;
@@ -0,0 +1,313 @@
+// src/services/mrpack.js
+const fs = require('fs-extra');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { hashFile } = require('../utils/hash');
+const { isModFile, isDisabledModFile, getModFileName } = require('../utils/mod-files');
+const { MANAGEABLE_FOLDERS } = require('./profile-switcher');
+const { getProfileTarget, parseModrinthUrl, writePackRegistry } = require('../utils/pack-files');
+
+// modrinth.index.json dependency keys -> Lumen loader names
+const LOADER_DEPENDENCIES = {
+  'fabric-loader': 'fabric',
+  'quilt-loader': 'quilt',
+  'forge': 'forge',
+  'neoforge': 'neoforge'
+};
+
+// Applied in order, so client overrides win over shared ones
+const OVERRIDE_DIRS = ['overrides', 'client-overrides'];
+
+// Licenses that allow a jar to be shipped inside overrides/
+const REDISTRIBUTABLE_LICENSE = /\b(mit|apache|bsd|isc|zlib|unlicense|cc0|l?gpl|agpl|mpl|epl|eupl|wtfpl|cc-by(?!-nd)(-sa)?)\b/i;
+
+class MrpackService {
+  constructor(providers, jarMetadata) {
+    this.providers = providers;
+    this.jarMetadata = jarMetadata;
+  }
+
+  readIndex(packPath) {
+    const zip = new AdmZip(packPath);
+    const entry = zip.getEntry('modrinth.index.json');
+    if (!entry) {
+      throw new Error('Not a Modrinth modpack: modrinth.index.json is missing');
+    }
+
+    const index = JSON.parse(entry.getData().toString('utf8'));
+    if (index.formatVersion !== 1 || index.game !== 'minecraft') {
+      throw new Error(`Unsupported modpack format (formatVersion ${index.formatVersion}, game ${index.game})`);
+    }
+
+    const dependencies = index.dependencies || {};
+    const loaderKey = Object.keys(LOADER_DEPENDENCIES).find(key => dependencies[key]);
+
+    return {
+      zip,
+      index,
+      name: index.name || path.basename(packPath, '.mrpack'),
+      summary: index.summary || '',
+      versionId: index.versionId || null,
+      gameVersion: dependencies.minecraft || null,
+      loader: loaderKey ? LOADER_DEPENDENCIES[loaderKey] : null,
+      loaderVersion: loaderKey ? dependencies[loaderKey] : null
+    };
+  }
+
+  async importPack(packPath, profilePath, onProgress = () => {}) {
+    const pack = this.readIndex(packPath);
+    const files = (pack.index.files || []).filter(file => !file.env || file.env.client !== 'unsupported');
+    const modFiles = [];
+
+    await fs.ensureDir(profilePath);
+
+    // Everything is queued at once; the download queue bounds parallelism.
+    // Waiting for every file keeps a failed import from leaving downloads
+    // running into the profile directory.
+    let done = 0;
+    const downloads = await Promise.allSettled(files.map(async (file) => {
+      const { isMod, fileName, target } = getProfileTarget(profilePath, file.path);
+      if (target) {
+        await this.downloadPackFile(file, target);
+      } else {
+        console.warn(`Skipping ${file.path}: only jars directly in mods/ are installed`);
+      }
+      onProgress({ stage: 'downloading', file: file.path, current: ++done, total: files.length });
+
+      if (isMod) {
+        modFiles.push({ fileName, hashes: file.hashes, source: this.getIndexSource(file) });
+      }
+    }));
+
+    const failed = downloads.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+
+    onProgress({ stage: 'overrides', current: files.length, total: files.length });
+    const overrideMods = await this.applyOverrides(pack.zip, profilePath);
+    for (const fileName of overrideMods) {
+      if (!modFiles.some(mod => mod.fileName === fileName)) {
+        modFiles.push({ fileName, hashes: await hashFile(path.join(profilePath, fileName)) });
+      }
+    }
+
+    onProgress({ stage: 'registry', current: files.length, total: files.length });
+    await writePackRegistry(this.providers, profilePath, modFiles);
+
+    return {
+      name: pack.name,
+      summary: pack.summary,
+      versionId: pack.versionId,
+      gameVersion: pack.gameVersion,
+      loader: pack.loader,
+      loaderVersion: pack.loaderVersion,
+      modCount: modFiles.length
+    };
+  }
+
+  // The project and version an index file's Modrinth download belongs to,
+  // so the registry needn't look the file up again
+  getIndexSource(file) {
+    for (const url of file.downloads || []) {
+      const ids = parseModrinthUrl(url);
+      if (ids) {
+        return { provider: this.providers.getDefault().id, ...ids, url };
+      }
+    }
+    return null;
+  }
+
+  async downloadPackFile(file, target) {
+    const urls = file.downloads || [];
+    if (urls.length === 0) {
+      throw new Error(`No download URL for ${file.path}`);
+    }
+
+    let lastError;
+    for (const url of urls) {
+      try {
+        await this.providers.downloads.add({ url, destination: target, hashes: file.hashes, size: file.fileSize });
+        return;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  async applyOverrides(zip, profilePath) {
+    const modFileNames = [];
+
+    for (const dir of OVERRIDE_DIRS) {
+      const prefix = `${dir}/`;
+      const entries = zip.getEntries().filter(entry => !entry.isDirectory && entry.entryName.startsWith(prefix));
+
+      for (const entry of entries) {
+        const { isMod, fileName, target } = getProfileTarget(profilePath, entry.entryName.slice(prefix.length));
+        if (!target) continue;
+        await fs.ensureDir(path.dirname(target));
+        await fs.writeFile(target, entry.getData());
+
+        if (isMod && fileName.endsWith('.jar') && !modFileNames.includes(fileName)) {
+          modFileNames.push(fileName);
+        }
+      }
+    }
+
+    return modFileNames;
+  }
+
+  // Work out which jars Modrinth can serve and which have to be bundled,
+  // without writing anything yet. Shared by the packwiz export.
+  // getFolderPath(name): where the profile's copy of a game folder is.
+  // registry: the profile's mod registry. Jars it records as Modrinth
+  // downloads are exported from their entry; only the rest are hashed and
+  // looked up, and if that lookup fails they are bundled.
+  // Disabled mods are exported too: fileName is their enabled name and
+  // disabled is set, so the writers can mark them optional and off.
+  async prepareExport(modsDir, getFolderPath, registry = {}) {
+    const files = await fs.pathExists(modsDir) ? await fs.readdir(modsDir) : [];
+    const provider = this.providers.getDefault();
+
+    const modrinthMods = [];
+    const unregistered = [];
+    for (const file of files.filter(isModFile)) {
+      const fileName = getModFileName(file);
+      const filePath = path.join(modsDir, file);
+      const disabled = isDisabledModFile(file);
+      const { size } = await fs.stat(filePath);
+      const entry = registry[fileName];
+
+      if (isModrinthEntry(entry, provider.id)) {
+        const { sha1, sha512 } = entry.hashes;
+        modrinthMods.push({ fileName, filePath, disabled, size, hashes: { sha1, sha512 }, url: entry.url, projectId: entry.projectId, versionId: entry.versionId });
+      } else {
+        unregistered.push({ fileName, filePath, disabled, size, hashes: await hashFile(filePath) });
+      }
+    }
+
+    const warnings = [];
+    let versionsByHash = {};
+    if (unregistered.length > 0) {
+      try {
+        versionsByHash = await provider.getVersionsFromHashes(unregistered.map(mod => mod.hashes.sha1), 'sha1');
+      } catch (error) {
+        console.warn('Failed to look up unregistered mods on Modrinth:', error.message);
+        warnings.push({ fileName: null, message: `Could not reach Modrinth to look up ${unregistered.length} mods; they will be bundled` });
+      }
+    }
+
+    // Only files Modrinth itself hosts can be referenced by URL in the index
+    const overrideMods = [];
+    for (const mod of unregistered) {
+      const version = versionsByHash[mod.hashes.sha1];
+      const versionFile = version && version.files.find(f => f.hashes.sha1 === mod.hashes.sha1);
+
+      if (versionFile) {
+        modrinthMods.push({ ...mod, url: versionFile.url, projectId: version.project_id, versionId: version.id });
+        continue;
+      }
+
+      overrideMods.push(mod);
+
+      let license = null;
+      if (this.jarMetadata) {
+        try {
+          license = (await this.jarMetadata.read(mod.filePath)).license;
+        } catch (error) {
+          console.warn(`Failed to read license from ${mod.fileName}:`, error);
+        }
+      }
+
+      if (!license) {
+        warnings.push({ fileName: mod.fileName, message: `${mod.fileName} is not on Modrinth and declares no license; redistributing it may not be allowed` });
+      } else if (!REDISTRIBUTABLE_LICENSE.test(license)) {
+        warnings.push({ fileName: mod.fileName, message: `${mod.fileName} is not on Modrinth and is licensed "${license}", which may not allow redistribution` });
+      }
+    }
+
+    if (this.jarMetadata) {
+      await this.jarMetadata.saveCache();
+    }
+
+    const availableFolders = [];
+    const folderPaths = {};
+    for (const folder of MANAGEABLE_FOLDERS) {
+      const folderPath = getFolderPath(folder);
+      if (folderPath && await fs.pathExists(folderPath)) {
+        availableFolders.push(folder);
+        folderPaths[folder] = folderPath;
+      }
+    }
+
+    // Launchers let the player opt into optional files, which is the closest
+    // the format comes to a disabled mod
+    const modrinthFiles = modrinthMods.map(mod => ({
+      path: `mods/${mod.fileName}`,
+      hashes: { sha1: mod.hashes.sha1, sha512: mod.hashes.sha512 },
+      env: mod.disabled ? { client: 'optional', server: 'optional' } : { client: 'required', server: 'required' },
+      downloads: [mod.url],
+      fileSize: mod.size
+    }));
+
+    return { modrinthFiles, modrinthMods, overrideMods, warnings, availableFolders, folderPaths };
+  }
+
+  async writeExport(prepared, outputPath, options) {
+    const { name, summary, versionId, gameVersion, loader, loaderVersion, includeFolders = [] } = options;
+    const loaderKey = Object.keys(LOADER_DEPENDENCIES).find(key => LOADER_DEPENDENCIES[key] === loader);
+    if (!loaderKey) {
+      throw new Error(`Unsupported loader for .mrpack export: ${loader}`);
+    }
+    if (!loaderVersion) {
+      throw new Error('A loader version is required for .mrpack export');
+    }
+
+    const index = {
+      formatVersion: 1,
+      game: 'minecraft',
+      versionId: versionId || '1.0.0',
+      name,
+      summary: summary || undefined,
+      files: prepared.modrinthFiles,
+      dependencies: {
+        minecraft: gameVersion,
+        [loaderKey]: loaderVersion
+      }
+    };
+
+    const zip = new AdmZip();
+    zip.addFile('modrinth.index.json', Buffer.from(JSON.stringify(index, null, 2)));
+
+    // Bundled jars keep their on-disk name, so disabled ones stay disabled
+    for (const mod of prepared.overrideMods) {
+      zip.addLocalFile(mod.filePath, 'overrides/mods');
+    }
+
+    for (const folder of includeFolders.filter(f => prepared.availableFolders.includes(f))) {
+      const source = prepared.folderPaths[folder];
+      if (!await fs.pathExists(source)) continue;
+
+      if ((await fs.stat(source)).isDirectory()) {
+        zip.addLocalFolder(source, `overrides/${folder}`);
+      } else {
+        zip.addLocalFile(source, 'overrides');
+      }
+    }
+
+    await fs.ensureDir(path.dirname(outputPath));
+    zip.writeZip(outputPath);
+    return outputPath;
+  }
+}
+
+// A registry entry for a file downloaded from Modrinth, with everything an
+// index entry needs
+function isModrinthEntry(entry, providerId) {
+  return !!entry && (entry.provider || providerId) === providerId &&
+    !!entry.versionId && !!entry.url && !!entry.hashes && !!entry.hashes.sha1 && !!entry.hashes.sha512;
+}
+
+module.exports = MrpackService;
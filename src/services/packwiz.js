@@ -0,0 +1,341 @@
+// src/services/packwiz.js
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const TOML = require('@iarna/toml');
+const { hashFile } = require('../utils/hash');
+const { getProfileTarget, writePackRegistry } = require('../utils/pack-files');
+
+const LOADERS = ['fabric', 'quilt', 'forge', 'neoforge'];
+const PACK_FORMAT = 'packwiz:1.1.0';
+const INDEX_HASH_FORMAT = 'sha256';
+
+// packwiz packs are a directory: pack.toml points at index.toml, which lists
+// every file with its hash. Mods are usually .pw.toml metafiles that say
+// where to download the jar from instead of the jar itself.
+class PackwizService {
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  async resolvePackFile(inputPath) {
+    const stats = await fs.stat(inputPath);
+    return stats.isDirectory() ? path.join(inputPath, 'pack.toml') : inputPath;
+  }
+
+  async readPack(inputPath) {
+    const packFile = await this.resolvePackFile(inputPath);
+    if (!await fs.pathExists(packFile)) {
+      throw new Error('Not a packwiz pack: pack.toml is missing');
+    }
+
+    const packDir = path.dirname(packFile);
+    const pack = this.parseToml(await fs.readFile(packFile, 'utf8'), 'pack.toml');
+    if (!pack.index || !pack.index.file) {
+      throw new Error('pack.toml does not point to an index file');
+    }
+
+    const indexPath = this.resolveInDir(packDir, pack.index.file);
+    const indexData = await fs.readFile(indexPath);
+    if (pack.index.hash) {
+      this.checkHash(indexData, pack.index['hash-format'], pack.index.hash, pack.index.file);
+    }
+
+    const versions = pack.versions || {};
+    const loader = LOADERS.find(name => versions[name]) || null;
+
+    return {
+      packDir,
+      indexDir: path.dirname(indexPath),
+      index: this.parseToml(indexData.toString('utf8'), pack.index.file),
+      name: pack.name || path.basename(packDir),
+      author: pack.author || '',
+      version: pack.version || null,
+      gameVersion: versions.minecraft || null,
+      loader,
+      loaderVersion: loader ? versions[loader] : null
+    };
+  }
+
+  // Check every file and metafile up front so a pack with a broken or
+  // unfetchable entry fails before anything is downloaded
+  async resolveFiles(pack) {
+    const defaultFormat = pack.index['hash-format'];
+    const entries = [];
+    const unresolved = [];
+
+    for (const file of pack.index.files || []) {
+      const sourcePath = this.resolveInDir(pack.indexDir, file.file);
+      const data = await fs.readFile(sourcePath);
+      this.checkHash(data, file['hash-format'] || defaultFormat, file.hash, file.file);
+
+      if (!file.metafile) {
+        entries.push({ relativePath: file.file, sourcePath });
+        continue;
+      }
+
+      const meta = this.parseToml(data.toString('utf8'), file.file);
+      if (meta.side === 'server') continue;
+
+      const download = meta.download || {};
+      if (!download.url) {
+        // CurseForge metafiles only carry a file ID, which needs their API
+        unresolved.push(meta.name || file.file);
+        continue;
+      }
+
+      const hashFormat = download['hash-format'];
+      this.checkHashFormat(hashFormat, file.file);
+      entries.push({
+        relativePath: path.posix.join(path.posix.dirname(file.file), meta.filename),
+        url: download.url,
+        hashes: { [hashFormat]: String(download.hash).toLowerCase() },
+        source: this.getMetafileSource(meta)
+      });
+    }
+
+    if (unresolved.length > 0) {
+      throw new Error(`No download URL for ${unresolved.join(', ')}; CurseForge-only files are not supported`);
+    }
+
+    return entries;
+  }
+
+  // Metafiles for Modrinth mods name the project and version they update
+  // from, so the registry needn't look the jar up again
+  getMetafileSource(meta) {
+    const modrinth = meta.update && meta.update.modrinth;
+    if (!modrinth || !modrinth['mod-id'] || !modrinth.version) {
+      return null;
+    }
+
+    return {
+      provider: this.providers.getDefault().id,
+      projectId: modrinth['mod-id'],
+      versionId: modrinth.version,
+      url: meta.download.url,
+      name: meta.name
+    };
+  }
+
+  async importPack(inputPath, profilePath, onProgress = () => {}) {
+    const pack = await this.readPack(inputPath);
+    const entries = await this.resolveFiles(pack);
+    const modFiles = [];
+
+    await fs.ensureDir(profilePath);
+
+    // Queued all at once like mrpack imports; see MrpackService.importPack
+    let done = 0;
+    const results = await Promise.allSettled(entries.map(async (entry) => {
+      const { isMod, fileName, target } = getProfileTarget(profilePath, entry.relativePath);
+      if (!target) {
+        console.warn(`Skipping ${entry.relativePath}: only jars directly in mods/ are installed`);
+      } else if (entry.url) {
+        await this.providers.downloads.add({ url: entry.url, destination: target, hashes: entry.hashes });
+      } else {
+        await fs.copy(entry.sourcePath, target);
+      }
+      onProgress({ stage: 'downloading', file: entry.relativePath, current: ++done, total: entries.length });
+
+      if (isMod && fileName.endsWith('.jar')) {
+        modFiles.push({ fileName, hashes: await hashFile(target), source: entry.source });
+      }
+    }));
+
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+
+    onProgress({ stage: 'registry', current: entries.length, total: entries.length });
+    await writePackRegistry(this.providers, profilePath, modFiles);
+
+    return {
+      name: pack.name,
+      author: pack.author,
+      version: pack.version,
+      gameVersion: pack.gameVersion,
+      loader: pack.loader,
+      loaderVersion: pack.loaderVersion,
+      modCount: modFiles.length
+    };
+  }
+
+  // prepared comes from MrpackService.prepareExport: mods Modrinth serves get
+  // a metafile with update metadata, the rest are copied in as plain files.
+  // registry supplies the mod names used for metafile names.
+  async writeExport(prepared, outputDir, options) {
+    const { name, author, version, gameVersion, loader, loaderVersion, includeFolders = [], registry = {} } = options;
+    if (!LOADERS.includes(loader)) {
+      throw new Error(`Unsupported loader for packwiz export: ${loader}`);
+    }
+    if (!loaderVersion) {
+      throw new Error('A loader version is required for packwiz export');
+    }
+
+    await fs.ensureDir(outputDir);
+    const previous = await this.readPreviousFiles(outputDir);
+    const files = [];
+    const slugs = new Set();
+
+    for (const mod of prepared.modrinthMods) {
+      const registered = registry[mod.fileName] || {};
+      const slug = this.uniqueSlug(registered.name || mod.fileName.replace(/\.jar$/, ''), slugs);
+      const metafile = {
+        name: registered.name || mod.fileName.replace(/\.jar$/, ''),
+        filename: mod.fileName,
+        side: 'both',
+        // A disabled mod becomes an optional one that starts off
+        option: mod.disabled ? { optional: true, default: false } : undefined,
+        download: {
+          url: mod.url,
+          'hash-format': 'sha512',
+          hash: mod.hashes.sha512
+        },
+        update: {
+          modrinth: {
+            'mod-id': mod.projectId,
+            version: mod.versionId
+          }
+        }
+      };
+
+      const relativePath = `mods/${slug}.pw.toml`;
+      const content = TOML.stringify(metafile);
+      await fs.outputFile(path.join(outputDir, relativePath), content);
+      files.push({ file: relativePath, hash: this.hashData(content), metafile: true });
+    }
+
+    // Bundled jars keep their on-disk name, so disabled ones stay disabled
+    for (const mod of prepared.overrideMods) {
+      files.push(await this.copyIntoPack(mod.filePath, outputDir, `mods/${path.basename(mod.filePath)}`));
+    }
+
+    for (const folder of includeFolders.filter(f => prepared.availableFolders.includes(f))) {
+      const source = prepared.folderPaths[folder];
+      if (!await fs.pathExists(source)) continue;
+
+      if ((await fs.stat(source)).isDirectory()) {
+        for (const relativePath of await this.listFiles(source)) {
+          files.push(await this.copyIntoPack(path.join(source, relativePath), outputDir, `${folder}/${relativePath}`));
+        }
+      } else {
+        files.push(await this.copyIntoPack(source, outputDir, folder));
+      }
+    }
+
+    // Drop files an earlier export listed that this one doesn't, so the
+    // tree stays clean when it lives in a git repo
+    const written = new Set(files.map(file => file.file));
+    for (const file of previous.filter(file => !written.has(file))) {
+      await fs.remove(this.resolveInDir(outputDir, file));
+    }
+
+    files.sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : 0));
+    const indexContent = TOML.stringify({ 'hash-format': INDEX_HASH_FORMAT, files });
+    await fs.writeFile(path.join(outputDir, 'index.toml'), indexContent);
+
+    const packContent = TOML.stringify({
+      name,
+      author: author || undefined,
+      version: version || '1.0.0',
+      'pack-format': PACK_FORMAT,
+      index: {
+        file: 'index.toml',
+        'hash-format': INDEX_HASH_FORMAT,
+        hash: this.hashData(indexContent)
+      },
+      versions: {
+        minecraft: gameVersion,
+        [loader]: loaderVersion
+      }
+    });
+    await fs.writeFile(path.join(outputDir, 'pack.toml'), packContent);
+
+    return outputDir;
+  }
+
+  async readPreviousFiles(outputDir) {
+    const indexPath = path.join(outputDir, 'index.toml');
+    if (!await fs.pathExists(indexPath)) return [];
+
+    try {
+      const index = TOML.parse(await fs.readFile(indexPath, 'utf8'));
+      return (index.files || []).map(file => file.file);
+    } catch (error) {
+      console.warn('Ignoring unreadable index.toml in export folder:', error.message);
+      return [];
+    }
+  }
+
+  async copyIntoPack(sourcePath, outputDir, relativePath) {
+    const target = this.resolveInDir(outputDir, relativePath);
+    await fs.ensureDir(path.dirname(target));
+    await fs.copy(sourcePath, target);
+
+    const hash = (await hashFile(target, [INDEX_HASH_FORMAT]))[INDEX_HASH_FORMAT];
+    return { file: relativePath.replace(/\\/g, '/'), hash };
+  }
+
+  uniqueSlug(name, used) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'mod';
+    let slug = base;
+    for (let i = 2; used.has(slug); i++) {
+      slug = `${base}-${i}`;
+    }
+    used.add(slug);
+    return slug;
+  }
+
+  resolveInDir(dir, relativePath) {
+    const base = path.resolve(dir);
+    const resolved = path.resolve(base, relativePath);
+    if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+      throw new Error(`Refusing to access a file outside the pack: ${relativePath}`);
+    }
+    return resolved;
+  }
+
+  parseToml(text, fileName) {
+    try {
+      return TOML.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid ${fileName}: ${error.message}`);
+    }
+  }
+
+  checkHashFormat(format, fileName) {
+    // murmur2 (CurseForge fingerprints) is not a standard digest
+    if (!format || !crypto.getHashes().includes(format)) {
+      throw new Error(`Unsupported hash format "${format}" for ${fileName}`);
+    }
+  }
+
+  checkHash(data, format, expected, fileName) {
+    this.checkHashFormat(format, fileName);
+    const actual = this.hashData(data, format);
+    if (actual !== String(expected).toLowerCase()) {
+      throw new Error(`${fileName} failed verification: ${format} mismatch (expected ${expected}, got ${actual})`);
+    }
+  }
+
+  hashData(data, format = INDEX_HASH_FORMAT) {
+    return crypto.createHash(format).update(data).digest('hex');
+  }
+
+  async listFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        files.push(...await this.listFiles(path.join(dir, entry.name), relativePath));
+      } else {
+        files.push(relativePath);
+      }
+    }
+    return files;
+  }
+}
+
+module.exports = PackwizService;
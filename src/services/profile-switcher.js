@@ -0,0 +1,272 @@
+// src/services/profile-switcher.js
+const fs = require('fs-extra');
+const path = require('path');
+const { hashFile } = require('../utils/hash');
+const { verifyFile } = require('../utils/download');
+const { isModFile } = require('../utils/mod-files');
+
+// Game directory entries a profile can own instead of sharing them
+const MANAGEABLE_FOLDERS = ['config', 'defaultconfigs', 'resourcepacks', 'shaderpacks', 'options.txt'];
+
+// Switching runs as a journaled transaction so a failure or crash at any
+// point leaves either the old or the new profile fully in place:
+//   staging  - copy both mod sets and both versions of every swapped
+//              game folder into the work dir and verify them; nothing
+//              live has been touched yet
+//   swapping - replace the jars in the mods folder and the swapped game
+//              folders; rollback restores from the work dir
+//   committed - the caller has saved the new current profile
+class ProfileSwitcher {
+  constructor(workDir) {
+    this.workDir = workDir;
+    this.journalPath = path.join(workDir, 'journal.json');
+    this.outgoingDir = path.join(workDir, 'outgoing');
+    this.incomingDir = path.join(workDir, 'incoming');
+    this.foldersOutDir = path.join(workDir, 'folders-out');
+    this.foldersInDir = path.join(workDir, 'folders-in');
+    this.switching = false;
+  }
+
+  // folders: [{ name, saveTo, loadFrom }] game folders to swap; the live
+  // copy is stored under saveTo and replaced by the one under loadFrom
+  // commit: saves the new current profile; the switch only counts once it resolves
+  async switchProfile({ from, to, modsPath, fromProfilePath, toProfilePath, gameDir, folders = [] }, commit) {
+    if (this.switching) {
+      throw new Error('A profile switch is already in progress');
+    }
+    if (await fs.pathExists(this.journalPath)) {
+      throw new Error('An interrupted profile switch has not been recovered yet; restart the app');
+    }
+
+    this.switching = true;
+    const journal = {
+      from,
+      to,
+      modsPath,
+      fromProfilePath,
+      toProfilePath,
+      gameDir,
+      stage: 'staging',
+      startedAt: new Date().toISOString(),
+      outgoing: [],
+      incoming: [],
+      folders: []
+    };
+
+    try {
+      await fs.emptyDir(this.workDir);
+      await this.writeJournal(journal);
+
+      journal.outgoing = await this.stageMods(modsPath, this.outgoingDir);
+      journal.incoming = await this.stageMods(toProfilePath, this.incomingDir);
+      journal.folders = await this.stageFolders(folders, gameDir);
+
+      journal.stage = 'swapping';
+      await this.writeJournal(journal);
+
+      try {
+        await this.swap(journal);
+        await commit();
+      } catch (error) {
+        try {
+          await this.rollback(journal);
+        } catch (rollbackError) {
+          // The journal stays behind so the next startup retries the rollback
+          throw new Error(`${error.message}; rolling back also failed (${rollbackError.message}), it will be retried on restart`);
+        }
+        await this.cleanup();
+        throw error;
+      }
+
+      journal.stage = 'committed';
+      await this.writeJournal(journal);
+
+      try {
+        await this.keepOutgoing(journal);
+        await this.cleanup();
+      } catch (error) {
+        // The switch itself is done; startup recovery finishes storing the old mods
+        console.warn('Failed to store the previous profile\'s mods and folders:', error);
+      }
+    } catch (error) {
+      // Staging failures leave nothing live changed; drop the partial work
+      if (journal.stage === 'staging') {
+        await this.cleanup().catch(() => {});
+      }
+      throw error;
+    } finally {
+      this.switching = false;
+    }
+  }
+
+  // Called on startup before anything touches the mods folder.
+  // currentProfile: the profile saved in settings, which tells whether the
+  // interrupted switch got as far as committing.
+  async recover(currentProfile) {
+    if (!await fs.pathExists(this.journalPath)) {
+      return { action: 'none' };
+    }
+
+    let journal;
+    try {
+      journal = await fs.readJson(this.journalPath);
+    } catch (error) {
+      // The journal is written before anything live changes, so an
+      // unreadable one means the switch never got past staging
+      console.warn('Discarding unreadable profile switch journal:', error);
+      await this.cleanup();
+      return { action: 'discarded' };
+    }
+
+    if (journal.stage === 'committed' || (journal.stage === 'swapping' && currentProfile === journal.to)) {
+      await this.keepOutgoing(journal);
+      await this.cleanup();
+      return { action: 'completed', from: journal.from, to: journal.to };
+    }
+
+    if (journal.stage === 'swapping') {
+      await this.rollback(journal);
+      await this.cleanup();
+      return { action: 'rolled-back', from: journal.from, to: journal.to };
+    }
+
+    await this.cleanup();
+    return { action: 'discarded', from: journal.from, to: journal.to };
+  }
+
+  async stageMods(sourceDir, stagingDir) {
+    await fs.ensureDir(stagingDir);
+    if (!await fs.pathExists(sourceDir)) return [];
+
+    const files = (await fs.readdir(sourceDir)).filter(isModFile);
+    const staged = [];
+
+    for (const fileName of files) {
+      const sourcePath = path.join(sourceDir, fileName);
+      const { size } = await fs.stat(sourcePath);
+      const { sha1 } = await hashFile(sourcePath, ['sha1']);
+
+      const stagedPath = path.join(stagingDir, fileName);
+      await fs.copy(sourcePath, stagedPath, { preserveTimestamps: true });
+      await this.verify(stagedPath, { sha1, size });
+
+      staged.push({ fileName, sha1, size });
+    }
+
+    return staged;
+  }
+
+  async stageFolders(folders, gameDir) {
+    const staged = [];
+
+    for (const { name, saveTo, loadFrom } of folders) {
+      const livePath = path.join(gameDir, name);
+      const incomingPath = path.join(loadFrom, name);
+      const existed = await fs.pathExists(livePath);
+      const incoming = await fs.pathExists(incomingPath);
+
+      if (existed) {
+        await fs.copy(livePath, path.join(this.foldersOutDir, name), { preserveTimestamps: true });
+      }
+      if (incoming) {
+        await fs.copy(incomingPath, path.join(this.foldersInDir, name), { preserveTimestamps: true });
+      }
+      staged.push({ name, saveTo, existed, incoming });
+    }
+
+    return staged;
+  }
+
+  async swap(journal) {
+    const { modsPath, gameDir } = journal;
+
+    for (const { fileName } of journal.outgoing) {
+      await fs.remove(path.join(modsPath, fileName));
+    }
+
+    for (const { fileName, sha1, size } of journal.incoming) {
+      const target = path.join(modsPath, fileName);
+      await fs.copy(path.join(this.incomingDir, fileName), target, { preserveTimestamps: true });
+      await this.verify(target, { sha1, size });
+    }
+
+    for (const { name, incoming } of journal.folders) {
+      const livePath = path.join(gameDir, name);
+      await fs.remove(livePath);
+      if (incoming) {
+        await fs.copy(path.join(this.foldersInDir, name), livePath, { preserveTimestamps: true });
+      }
+    }
+  }
+
+  async rollback(journal) {
+    const { modsPath, gameDir } = journal;
+
+    for (const { fileName } of journal.incoming) {
+      await fs.remove(path.join(modsPath, fileName));
+    }
+
+    for (const { fileName, sha1, size } of journal.outgoing) {
+      const target = path.join(modsPath, fileName);
+      await fs.copy(path.join(this.outgoingDir, fileName), target, { preserveTimestamps: true });
+      await this.verify(target, { sha1, size });
+    }
+
+    for (const { name, existed } of journal.folders || []) {
+      const livePath = path.join(gameDir, name);
+      await fs.remove(livePath);
+      if (existed) {
+        await fs.copy(path.join(this.foldersOutDir, name), livePath, { preserveTimestamps: true });
+      }
+    }
+  }
+
+  // Store the outgoing mod set in its profile directory and the swapped
+  // game folders wherever they belong. Only jars at the profile root are
+  // replaced; the registry, backups and managed folders stay.
+  async keepOutgoing(journal) {
+    const { fromProfilePath } = journal;
+    await fs.ensureDir(fromProfilePath);
+
+    const stale = (await fs.readdir(fromProfilePath)).filter(isModFile);
+    for (const fileName of stale) {
+      await fs.remove(path.join(fromProfilePath, fileName));
+    }
+
+    for (const { fileName, sha1, size } of journal.outgoing) {
+      const target = path.join(fromProfilePath, fileName);
+      await fs.copy(path.join(this.outgoingDir, fileName), target, { preserveTimestamps: true });
+      await this.verify(target, { sha1, size });
+    }
+
+    for (const { name, saveTo, existed } of journal.folders || []) {
+      const target = path.join(saveTo, name);
+      await fs.remove(target);
+      if (existed) {
+        await fs.copy(path.join(this.foldersOutDir, name), target, { preserveTimestamps: true });
+      }
+    }
+  }
+
+  async verify(filePath, { sha1, size }) {
+    try {
+      await verifyFile(filePath, { hashes: { sha1 }, size });
+    } catch (error) {
+      throw new Error(`${path.basename(filePath)} failed verification: ${error.message}`);
+    }
+  }
+
+  async writeJournal(journal) {
+    const tempPath = `${this.journalPath}.tmp`;
+    await fs.writeJson(tempPath, journal, { spaces: 2 });
+    await fs.rename(tempPath, this.journalPath);
+  }
+
+  async cleanup() {
+    await fs.remove(this.workDir);
+  }
+}
+
+ProfileSwitcher.MANAGEABLE_FOLDERS = MANAGEABLE_FOLDERS;
+
+module.exports = ProfileSwitcher;
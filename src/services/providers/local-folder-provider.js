@@ -0,0 +1,229 @@
+// src/services/providers/local-folder-provider.js
+const fs = require('fs-extra');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { verifyFile } = require('../../utils/download');
+const { isAllowedByChannel } = require('../../utils/release-channels');
+
+// Serves jars from a folder (e.g. a network share of in-house mods). Each
+// mod ID found in the jars' metadata is a project and each jar a version.
+class LocalFolderProvider {
+  constructor({ id, name, folderPath }, jarMetadata) {
+    this.id = id;
+    this.name = name || path.basename(folderPath);
+    this.type = 'local';
+    this.folderPath = folderPath;
+    this.jarMetadata = jarMetadata;
+    this.supportsHashLookup = true;
+  }
+
+  async scan() {
+    if (!await fs.pathExists(this.folderPath)) {
+      throw new Error(`Folder not found: ${this.folderPath}`);
+    }
+
+    const files = (await fs.readdir(this.folderPath)).filter(file => file.endsWith('.jar'));
+    const filePaths = files.map(file => path.join(this.folderPath, file));
+    const metadata = await this.jarMetadata.readAll(filePaths);
+
+    const versions = [];
+    for (const filePath of filePaths) {
+      const meta = metadata[filePath];
+      if (!meta || !meta.modId) continue;
+
+      const stats = await fs.stat(filePath);
+      versions.push({
+        id: meta.sha1,
+        project_id: meta.modId,
+        name: `${meta.displayName} ${meta.version || ''}`.trim(),
+        version_number: meta.version || path.basename(filePath, '.jar'),
+        version_type: 'release',
+        game_versions: [],
+        loaders: meta.loader ? [meta.loader] : [],
+        date_published: stats.mtime.toISOString(),
+        dependencies: [],
+        files: [{
+          url: pathToFileURL(filePath).href,
+          filename: path.basename(filePath),
+          hashes: { sha1: meta.sha1 },
+          size: stats.size,
+          primary: true
+        }],
+        meta
+      });
+    }
+
+    // Newest first, matching the order Modrinth returns versions in
+    return versions.sort((a, b) => b.date_published.localeCompare(a.date_published));
+  }
+
+  toProject(projectId, versions) {
+    const { meta } = versions[0];
+    return {
+      id: projectId,
+      project_id: projectId,
+      slug: projectId,
+      title: meta.displayName || projectId,
+      description: meta.description || '',
+      icon_url: meta.iconFile ? pathToFileURL(meta.iconFile).href : null,
+      team: (meta.authors || []).join(', '),
+      downloads: 0,
+      follows: 0,
+      followers: 0,
+      categories: [...new Set(versions.flatMap(v => v.loaders))],
+      license: meta.license ? { name: meta.license } : null,
+      provider: this.id
+    };
+  }
+
+  stripMeta(version) {
+    const { meta, ...rest } = version;
+    return rest;
+  }
+
+  async search(query, filters = {}) {
+    // A folder of jars only has mods
+    if (filters.projectType && filters.projectType !== 'mod') {
+      return { hits: [], offset: filters.offset || 0, limit: filters.limit || 20, total_hits: 0 };
+    }
+
+    const versions = await this.scan();
+    const byProject = this.groupByProject(versions);
+    const needle = (query || '').toLowerCase();
+
+    // Jars don't say which game versions, categories or environments they
+    // are for, so only the loader filter and the date sorts apply here
+    const hits = [...byProject.entries()]
+      .filter(([, projectVersions]) => !filters.loaders || filters.loaders.length === 0 ||
+        projectVersions.some(v => v.loaders.some(l => filters.loaders.includes(l))))
+      .map(([projectId, projectVersions]) => ({
+        project: this.toProject(projectId, projectVersions),
+        // scan() lists versions newest first
+        updated: projectVersions[0].date_published
+      }))
+      .filter(({ project }) => project.title.toLowerCase().includes(needle) || project.id.toLowerCase().includes(needle));
+
+    if (filters.sort === 'newest' || filters.sort === 'updated') {
+      hits.sort((a, b) => b.updated.localeCompare(a.updated));
+    }
+
+    const offset = filters.offset || 0;
+    const limit = filters.limit || 20;
+    return {
+      hits: hits.slice(offset, offset + limit).map(hit => hit.project),
+      offset,
+      limit,
+      total_hits: hits.length
+    };
+  }
+
+  groupByProject(versions) {
+    const byProject = new Map();
+    versions.forEach(version => {
+      if (!byProject.has(version.project_id)) byProject.set(version.project_id, []);
+      byProject.get(version.project_id).push(version);
+    });
+    return byProject;
+  }
+
+  async getProject(projectId) {
+    const versions = (await this.scan()).filter(v => v.project_id === projectId);
+    if (versions.length === 0) {
+      throw new Error(`Failed to get project: ${projectId} not found in ${this.folderPath}`);
+    }
+    return this.toProject(projectId, versions);
+  }
+
+  // The authors a jar lists stand in for a team
+  async getProjectMembers(projectId) {
+    const versions = (await this.scan()).filter(v => v.project_id === projectId);
+    const authors = versions.length > 0 ? versions[0].meta.authors || [] : [];
+    return authors.map(username => ({ user: { username, avatar_url: null }, role: 'Author' }));
+  }
+
+  async getProjects(projectIds) {
+    const byProject = this.groupByProject(await this.scan());
+    return projectIds
+      .filter(projectId => byProject.has(projectId))
+      .map(projectId => this.toProject(projectId, byProject.get(projectId)));
+  }
+
+  // loader may be one loader or a list, as in the registry contract
+  matchesLoader(version, loader) {
+    if (!loader) return true;
+    const loaders = [].concat(loader);
+    return version.loaders.some(l => loaders.includes(l));
+  }
+
+  // Jar metadata carries no game version, so only the loader is filtered on
+  async getProjectVersions(projectId, gameVersion, loader) {
+    return (await this.scan())
+      .filter(v => v.project_id === projectId && this.matchesLoader(v, loader))
+      .map(v => this.stripMeta(v));
+  }
+
+  async getLatestVersion(projectId, gameVersion, loader, { channel, exclude = [] } = {}) {
+    const versions = await this.getProjectVersions(projectId, gameVersion, loader);
+    return versions.find(v => isAllowedByChannel(v.version_type, channel) && !exclude.includes(v.id)) || null;
+  }
+
+  async getVersion(versionId) {
+    const version = (await this.scan()).find(v => v.id === versionId);
+    if (!version) {
+      throw new Error(`Failed to get version: ${versionId} not found in ${this.folderPath}`);
+    }
+    return this.stripMeta(version);
+  }
+
+  async getVersions(versionIds) {
+    const wanted = new Set(versionIds);
+    return (await this.scan()).filter(v => wanted.has(v.id)).map(v => this.stripMeta(v));
+  }
+
+  async getLatestVersionsFromHashes(hashes, algorithm, { gameVersion, loader, channel } = {}) {
+    if (algorithm !== 'sha1' || hashes.length === 0) return {};
+
+    const versions = await this.scan();
+    const result = {};
+    for (const hash of hashes) {
+      const installed = versions.find(v => v.id === hash);
+      if (!installed) continue;
+
+      const latest = versions.find(v =>
+        v.project_id === installed.project_id &&
+        this.matchesLoader(v, loader) &&
+        isAllowedByChannel(v.version_type, channel)
+      );
+      if (latest) result[hash] = this.stripMeta(latest);
+    }
+    return result;
+  }
+
+  async getVersionsFromHashes(hashes, algorithm = 'sha1') {
+    if (algorithm !== 'sha1' || hashes.length === 0) return {};
+
+    const wanted = new Set(hashes);
+    const result = {};
+    (await this.scan()).forEach(version => {
+      if (wanted.has(version.id)) result[version.id] = this.stripMeta(version);
+    });
+    return result;
+  }
+
+  async download(file, destination, { onProgress } = {}) {
+    const tempPath = path.join(path.dirname(destination), `.${path.basename(destination)}.${process.pid}-${Date.now()}.lumen-download`);
+
+    try {
+      await fs.ensureDir(path.dirname(destination));
+      await fs.copy(fileURLToPath(file.url), tempPath);
+      await verifyFile(tempPath, { hashes: file.hashes, size: file.size });
+      await fs.rename(tempPath, destination);
+      if (onProgress) onProgress(100);
+    } catch (error) {
+      await fs.remove(tempPath).catch(() => {});
+      throw new Error(`Failed to copy ${file.filename}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LocalFolderProvider;
@@ -0,0 +1,263 @@
+// src/services/providers/modrinth-provider.js
+const HttpClient = require('../http-client');
+const { downloadFile } = require('../../utils/download');
+const { isAllowedByChannel, getAllowedTypes } = require('../../utils/release-channels');
+const { DEFAULT_PROJECT_TYPE, isProjectType } = require('../../utils/project-types');
+
+const DEFAULT_BASE_URL = 'https://api.modrinth.com/v2';
+const SEARCH_SORTS = ['relevance', 'downloads', 'follows', 'newest', 'updated'];
+const { HttpError } = HttpClient;
+
+// Talks to api.modrinth.com or any server implementing the same v2 API
+class ModrinthProvider {
+  constructor({ id = 'modrinth', name = 'Modrinth', baseUrl = DEFAULT_BASE_URL, downloads = null, cache = null, http = new HttpClient() } = {}) {
+    this.id = id;
+    this.downloads = downloads;
+    this.cache = cache;
+    this.http = http;
+    this.name = name;
+    this.type = 'modrinth';
+    this.setBaseUrl(baseUrl);
+    this.supportsHashLookup = true;
+  }
+
+  setBaseUrl(baseUrl) {
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  // cache: a ResponseCache TTL category; lookups without one always go
+  // to the server
+  async request(method, endpoint, { params, data, cache } = {}) {
+    const send = (headers = {}) => this.http.request({
+      method,
+      url: `${this.baseUrl}${endpoint}`,
+      params,
+      data,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+
+    if (this.cache && cache) {
+      const key = [method, `${this.baseUrl}${endpoint}`, JSON.stringify(params || {}), JSON.stringify(data || null)].join(' ');
+      return await this.cache.request(key, cache, send);
+    }
+
+    const response = await send();
+    return response.data;
+  }
+
+  // Inner facet arrays are ORed and the outer array ANDs them, so a hit
+  // matches any selected version or loader but every selected category.
+  // filters.projectType picks mods (the default), resource packs, shaders,
+  // data packs or modpacks.
+  async search(query, filters = {}) {
+    const facets = [[`project_type:${isProjectType(filters.projectType) ? filters.projectType : DEFAULT_PROJECT_TYPE}`]];
+    
+    if (filters.versions && filters.versions.length > 0) {
+      facets.push(filters.versions.map(ver => `versions:${ver}`));
+    }
+    
+    if (filters.loaders && filters.loaders.length > 0) {
+      facets.push(filters.loaders.map(loader => `categories:${loader}`));
+    }
+
+    (filters.categories || []).forEach(category => {
+      facets.push([`categories:${category}`]);
+    });
+
+    // A mod "runs on" a side it supports at all, required or optional
+    (filters.environments || []).forEach(side => {
+      facets.push([`${side}_side:required`, `${side}_side:optional`]);
+    });
+
+    try {
+      return await this.request('GET', '/search', {
+        params: {
+          query,
+          index: SEARCH_SORTS.includes(filters.sort) ? filters.sort : 'relevance',
+          limit: filters.limit || 20,
+          offset: filters.offset || 0,
+          facets: JSON.stringify(facets)
+        },
+        cache: 'search'
+      });
+    } catch (error) {
+      throw wrapError('Search failed', error);
+    }
+  }
+
+  async getProject(projectId) {
+    try {
+      return await this.request('GET', `/project/${projectId}`, { cache: 'project' });
+    } catch (error) {
+      throw wrapError('Failed to get project', error);
+    }
+  }
+
+  // [{ user: { username, avatar_url }, role }]
+  async getProjectMembers(projectId) {
+    try {
+      return await this.request('GET', `/project/${projectId}/members`, { cache: 'project' });
+    } catch (error) {
+      throw wrapError('Failed to get project members', error);
+    }
+  }
+
+  async getProjects(projectIds) {
+    if (projectIds.length === 0) return [];
+
+    try {
+      return await this.request('GET', '/projects', {
+        params: { ids: JSON.stringify(projectIds) },
+        cache: 'project'
+      });
+    } catch (error) {
+      throw wrapError('Failed to get projects', error);
+    }
+  }
+
+  // Without a game version and loader this lists every version of the
+  // project. Here and below, loader may also be a list of loaders to accept.
+  async getProjectVersions(projectId, gameVersion, loader) {
+    const params = {};
+    if (gameVersion) params.game_versions = JSON.stringify([gameVersion]);
+    if (loader) params.loaders = JSON.stringify([].concat(loader));
+
+    try {
+      return await this.request('GET', `/project/${projectId}/version`, { params, cache: 'versions' });
+    } catch (error) {
+      throw wrapError('Failed to get project versions', error);
+    }
+  }
+
+  // channel limits the version_type offered; exclude lists version IDs to pass over
+  async getLatestVersion(projectId, gameVersion, loader, { channel, exclude = [] } = {}) {
+    const loaders = [].concat(loader);
+
+    try {
+      const versions = await this.request('GET', `/project/${projectId}/version`, {
+        params: {
+          game_versions: JSON.stringify([gameVersion]),
+          loaders: JSON.stringify(loaders)
+        },
+        cache: 'versions'
+      });
+
+      return versions.find(v => 
+        v.game_versions.includes(gameVersion) && 
+        v.loaders.some(l => loaders.includes(l)) &&
+        isAllowedByChannel(v.version_type, channel) &&
+        !exclude.includes(v.id)
+      ) || null;
+    } catch (error) {
+      throw wrapError('Failed to get latest version', error);
+    }
+  }
+
+  async getVersion(versionId) {
+    try {
+      return await this.request('GET', `/version/${versionId}`, { cache: 'version' });
+    } catch (error) {
+      throw wrapError('Failed to get version', error);
+    }
+  }
+
+  async getVersions(versionIds) {
+    if (versionIds.length === 0) return [];
+
+    try {
+      return await this.request('GET', '/versions', {
+        params: { ids: JSON.stringify(versionIds) },
+        cache: 'version'
+      });
+    } catch (error) {
+      throw wrapError('Failed to get versions', error);
+    }
+  }
+
+  // Returns a map of hash -> version for every hash the server recognises
+  async getVersionsFromHashes(hashes, algorithm = 'sha1') {
+    if (hashes.length === 0) return {};
+
+    try {
+      return await this.request('POST', '/version_files', {
+        data: { hashes, algorithm },
+        cache: 'lookup'
+      });
+    } catch (error) {
+      throw wrapError('Failed to look up file hashes', error);
+    }
+  }
+
+  // For each installed file hash, the newest version of the same project
+  // matching the game version, loader and channel, in a single request
+  async getLatestVersionsFromHashes(hashes, algorithm, { gameVersion, loader, channel } = {}) {
+    if (hashes.length === 0) return {};
+
+    try {
+      return await this.request('POST', '/version_files/update', {
+        data: {
+          hashes,
+          algorithm,
+          loaders: [].concat(loader),
+          game_versions: [gameVersion],
+          version_types: getAllowedTypes(channel)
+        },
+        cache: 'lookup'
+      });
+    } catch (error) {
+      throw wrapError('Failed to check file hashes for updates', error);
+    }
+  }
+
+  // Modrinth-only: the game versions and loaders it knows about
+  async getGameVersions() {
+    try {
+      return await this.request('GET', '/tag/game_version', { cache: 'tags' });
+    } catch (error) {
+      throw wrapError('Failed to get game versions', error);
+    }
+  }
+
+  async getLoaders() {
+    try {
+      return await this.request('GET', '/tag/loader', { cache: 'tags' });
+    } catch (error) {
+      throw wrapError('Failed to get loaders', error);
+    }
+  }
+
+  // file is a version file: { url, filename, hashes, size }
+  async download(file, destination, { onProgress } = {}) {
+    if (this.downloads) {
+      await this.downloads.add({
+        url: file.url,
+        destination,
+        hashes: file.hashes,
+        size: file.size,
+        name: file.filename
+      }, { onProgress });
+      return;
+    }
+
+    await downloadFile(file.url, destination, {
+      hashes: file.hashes,
+      size: file.size,
+      onProgress,
+      http: this.http
+    });
+  }
+}
+
+// Say which call failed, keeping an HttpError's status, code and
+// retryAfter for callers
+function wrapError(message, error) {
+  if (!(error instanceof HttpError)) {
+    return new Error(`${message}: ${error.message}`);
+  }
+
+  const { url, status, code, response, retryAfter } = error;
+  return new HttpError(`${message}: ${error.message}`, { url, status, code, response, retryAfter });
+}
+
+module.exports = ModrinthProvider;
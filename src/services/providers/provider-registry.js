@@ -0,0 +1,152 @@
+// src/services/providers/provider-registry.js
+const ModrinthProvider = require('./modrinth-provider');
+const LocalFolderProvider = require('./local-folder-provider');
+
+// Every provider exposes the same methods and returns Modrinth-shaped
+// project and version objects:
+//   search(query, filters)          -> { hits, offset, limit, total_hits }
+//                                   filters: { projectType, versions, loaders,
+//                                   categories, environments, sort, offset, limit }
+//   getProject(projectId)           -> project
+//   getProjects(projectIds)         -> [project]
+//   getProjectMembers(projectId)    -> [{ user: { username, avatar_url }, role }]
+//   getProjectVersions(projectId, gameVersion, loader) -> [version], newest first
+//                                   loader here and below may be a list of loaders
+//   getLatestVersion(projectId, gameVersion, loader, { channel, exclude }) -> version | null
+//                                   newest version the release channel allows,
+//                                   skipping the version IDs in exclude
+//   getVersion(versionId)           -> version
+//   getVersions(versionIds)         -> [version]
+//   getLatestVersionsFromHashes(hashes, algorithm, { gameVersion, loader, channel })
+//                                   -> { hash: newest version of that file's project }
+//   getVersionsFromHashes(hashes, algorithm) -> { hash: version }
+//   download(file, destination, { onProgress })
+// The Modrinth provider also serves Modrinth's tag lists for game versions
+// and loaders: getGameVersions() and getLoaders()
+const PROVIDER_TYPES = {
+  modrinth: (config, jarMetadata, services) => new ModrinthProvider({ ...config, ...services }),
+  local: (config, jarMetadata) => new LocalFolderProvider(config, jarMetadata)
+};
+
+const DEFAULT_PROVIDER_ID = 'modrinth';
+
+class ProviderRegistry {
+  // services are handed to every network provider:
+  //   downloads - the shared DownloadQueue every network download goes through
+  //   cache     - the ResponseCache API lookups are answered from when possible
+  //   http      - the HttpClient all requests are made with
+  // apiBaseUrl points the built-in Modrinth provider at a mirror
+  constructor(jarMetadata, { downloads, cache, http } = {}, { apiBaseUrl } = {}) {
+    this.jarMetadata = jarMetadata;
+    this.downloads = downloads;
+    this.services = { downloads, cache, http };
+    this.providers = new Map();
+    this.register(new ModrinthProvider({ ...this.services, baseUrl: apiBaseUrl }));
+  }
+
+  register(provider) {
+    this.providers.set(provider.id, provider);
+    return provider;
+  }
+
+  // config: { id, type, name, baseUrl | folderPath } as stored in settings
+  registerFromConfig(config) {
+    const create = PROVIDER_TYPES[config.type];
+    if (!create) {
+      throw new Error(`Unknown provider type: ${config.type}`);
+    }
+    return this.register(create(config, this.jarMetadata, this.services));
+  }
+
+  setApiBaseUrl(apiBaseUrl) {
+    this.getDefault().setBaseUrl(apiBaseUrl);
+  }
+
+  unregister(providerId) {
+    if (providerId === DEFAULT_PROVIDER_ID) {
+      throw new Error('The Modrinth provider cannot be removed');
+    }
+    this.providers.delete(providerId);
+  }
+
+  has(providerId) {
+    return this.providers.has(providerId);
+  }
+
+  // Registry entries written before providers existed have no provider field
+  get(providerId) {
+    const provider = this.providers.get(providerId || DEFAULT_PROVIDER_ID);
+    if (!provider) {
+      throw new Error(`Unknown mod source: ${providerId}`);
+    }
+    return provider;
+  }
+
+  getDefault() {
+    return this.get(DEFAULT_PROVIDER_ID);
+  }
+
+  list() {
+    return [...this.providers.values()].map(provider => ({
+      id: provider.id,
+      name: provider.name,
+      type: provider.type,
+      baseUrl: provider.baseUrl,
+      folderPath: provider.folderPath
+    }));
+  }
+
+  // Providers that can identify a file by hash, default provider first
+  getHashLookupProviders() {
+    return [...this.providers.values()].filter(provider => provider.supportsHashLookup);
+  }
+
+  // Match files ({ fileName, hashes }) against every provider that supports
+  // hash lookup. complete is false if any provider could not be asked, in
+  // which case unmatched files should not be treated as unknown yet.
+  async identifyFiles(files) {
+    const matches = new Map();
+    let remaining = files;
+    let complete = true;
+
+    for (const provider of this.getHashLookupProviders()) {
+      if (remaining.length === 0) break;
+
+      let versionsByHash;
+      try {
+        versionsByHash = await provider.getVersionsFromHashes(remaining.map(file => file.hashes.sha1), 'sha1');
+      } catch (error) {
+        console.warn(`Failed to identify files with ${provider.name}:`, error);
+        complete = false;
+        continue;
+      }
+
+      const projectIds = [...new Set(Object.values(versionsByHash).map(v => v.project_id))];
+      let titles = new Map();
+      try {
+        const projects = await provider.getProjects(projectIds);
+        titles = new Map(projects.map(p => [p.id, p.title]));
+      } catch (error) {
+        console.warn(`Failed to get project names from ${provider.name}:`, error);
+      }
+
+      remaining = remaining.filter(file => {
+        const version = versionsByHash[file.hashes.sha1];
+        if (!version) return true;
+
+        matches.set(file.fileName, {
+          provider: provider.id,
+          version,
+          title: titles.get(version.project_id) || version.name
+        });
+        return false;
+      });
+    }
+
+    return { matches, complete };
+  }
+}
+
+ProviderRegistry.DEFAULT_PROVIDER_ID = DEFAULT_PROVIDER_ID;
+
+module.exports = ProviderRegistry;
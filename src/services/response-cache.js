@@ -0,0 +1,206 @@
+// src/services/response-cache.js
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const HttpClient = require('./http-client');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How long a cached response is used without asking the server again.
+// Past that it is revalidated with its ETag; versions never change once
+// published, so they can be kept much longer than search results.
+const TTLS = {
+  search: 10 * MINUTE,
+  project: HOUR,
+  versions: 15 * MINUTE,
+  version: 7 * DAY,
+  lookup: 5 * MINUTE,
+  tags: DAY,
+  icon: 7 * DAY
+};
+// Entries nobody asked for in this long are removed by prune()
+const MAX_AGE = 30 * DAY;
+const ICON_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'];
+
+// On-disk cache of provider responses and project icons under
+// <userData>/cache. Responses are revalidated with If-None-Match once their
+// TTL runs out. When the server can't be reached, or offline mode is on,
+// whatever is cached is served instead; calls wrapped in track() find out
+// how old the oldest such response was so the UI can say so.
+class ResponseCache {
+  // http: the HttpClient icons are fetched with
+  constructor(cacheDir, { offline = false, http = new HttpClient() } = {}) {
+    this.http = http;
+    this.responseDir = path.join(cacheDir, 'responses');
+    this.iconDir = path.join(cacheDir, 'remote-icons');
+    this.offline = offline;
+    this.tracking = new AsyncLocalStorage();
+    this.iconFetches = new Map();
+  }
+
+  setOffline(offline) {
+    this.offline = !!offline;
+  }
+
+  // Run task and report { result, staleSince } where staleSince is the
+  // time the oldest unverified cached response was stored, or null
+  async track(task) {
+    const store = { staleSince: null };
+    const result = await this.tracking.run(store, task);
+    return { result, staleSince: store.staleSince && new Date(store.staleSince).toISOString() };
+  }
+
+  // key identifies the request (URL plus body), category picks the TTL and
+  // send(headers) performs it, resolving to an axios-style response that
+  // may have status 304
+  async request(key, category, send) {
+    const entry = await this.read(key);
+    const ttl = TTLS[category] || 0;
+
+    if (entry && this.offline) {
+      this.markStale(entry);
+      return entry.data;
+    }
+    if (entry && Date.now() - entry.storedAt < ttl) {
+      return entry.data;
+    }
+    if (this.offline) {
+      throw new Error('Offline mode is on and this has not been cached yet');
+    }
+
+    let response;
+    try {
+      response = await send(entry && entry.etag ? { 'If-None-Match': entry.etag } : {});
+    } catch (error) {
+      // Unreachable or a server error: stale data beats none
+      if (entry && (!error.response || error.response.status >= 500)) {
+        console.warn(`Serving cached response for ${key}:`, error.message);
+        this.markStale(entry);
+        return entry.data;
+      }
+      throw error;
+    }
+
+    if (response.status === 304 && entry) {
+      await this.write(key, { ...entry, storedAt: Date.now() });
+      return entry.data;
+    }
+
+    await this.write(key, {
+      key,
+      etag: response.headers && response.headers.etag || null,
+      storedAt: Date.now(),
+      data: response.data
+    });
+    return response.data;
+  }
+
+  markStale(entry) {
+    const store = this.tracking.getStore();
+    if (store && (!store.staleSince || entry.storedAt < store.staleSince)) {
+      store.staleSince = entry.storedAt;
+    }
+  }
+
+  // Path of the cached copy of an icon, or null if there isn't one yet.
+  // Missing and expired icons are fetched in the background so the next
+  // caller gets them; meanwhile the remote URL can be used as is.
+  async getIconPath(url) {
+    const iconPath = this.getIconFile(url);
+    const stats = await fs.stat(iconPath).catch(() => null);
+
+    if (!this.offline && (!stats || Date.now() - stats.mtimeMs >= TTLS.icon)) {
+      this.fetchIcon(url, iconPath);
+    }
+    return stats ? iconPath : null;
+  }
+
+  fetchIcon(url, iconPath) {
+    if (this.iconFetches.has(url)) return;
+
+    const fetch = (async () => {
+      const response = await this.http.get(url, { responseType: 'arraybuffer' });
+      await fs.ensureDir(this.iconDir);
+      await fs.writeFile(`${iconPath}.tmp`, Buffer.from(response.data));
+      await fs.rename(`${iconPath}.tmp`, iconPath);
+    })().catch(error => {
+      console.warn(`Failed to cache icon ${url}:`, error.message);
+    }).finally(() => {
+      this.iconFetches.delete(url);
+    });
+
+    this.iconFetches.set(url, fetch);
+  }
+
+  getIconFile(url) {
+    let extension = '';
+    try {
+      extension = path.extname(new URL(url).pathname).toLowerCase();
+    } catch (error) {
+      // Not a URL; cached without an extension
+    }
+    return path.join(this.iconDir, `${this.hashKey(url)}${ICON_EXTENSIONS.includes(extension) ? extension : ''}`);
+  }
+
+  // Drop responses and icons that haven't been refreshed in MAX_AGE
+  async prune() {
+    let removed = 0;
+
+    for (const dir of [this.responseDir, this.iconDir]) {
+      if (!await fs.pathExists(dir)) continue;
+
+      for (const name of await fs.readdir(dir)) {
+        const filePath = path.join(dir, name);
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (stats && Date.now() - stats.mtimeMs > MAX_AGE) {
+          await fs.remove(filePath);
+          removed++;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  async clear() {
+    await fs.remove(this.responseDir);
+    await fs.remove(this.iconDir);
+  }
+
+  async read(key) {
+    const entryPath = this.getEntryPath(key);
+    try {
+      const entry = await fs.readJson(entryPath);
+      return entry.key === key ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async write(key, entry) {
+    const entryPath = this.getEntryPath(key);
+    try {
+      await fs.ensureDir(this.responseDir);
+      await fs.writeJson(`${entryPath}.tmp`, entry);
+      await fs.rename(`${entryPath}.tmp`, entryPath);
+    } catch (error) {
+      // A failed cache write must never fail the request itself
+      console.warn('Failed to cache response:', error.message);
+    }
+  }
+
+  getEntryPath(key) {
+    return path.join(this.responseDir, `${this.hashKey(key)}.json`);
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha1').update(key).digest('hex');
+  }
+}
+
+ResponseCache.TTLS = TTLS;
+
+module.exports = ResponseCache;
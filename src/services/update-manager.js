@@ -2,58 +2,113 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { EventEmitter } = require('events');
-const axios = require('axios');
+const ProviderRegistry = require('./providers/provider-registry');
+const { hashFile } = require('../utils/hash');
+const { isModFile, isDisabledModFile, getModFileName, getFileNameForState } = require('../utils/mod-files');
+const { isPackType, getProjectLoaders, getPackKey, listPackFiles } = require('../utils/project-types');
+const { DEFAULT_CHANNEL, isValidChannel } = require('../utils/release-channels');
+const { compareVersionNumbers, compareReleases } = require('../utils/version-order');
+const { chunk, mapWithConcurrency } = require('../utils/concurrency');
+
+const UPDATE_RULES_NAME = 'update-rules.json';
+const UPDATE_HISTORY_NAME = 'update-history.json';
+const HISTORY_LIMIT = 20;
+// Hashes or version IDs per bulk request, and bulk requests in flight
+const HASH_BATCH_SIZE = 100;
+const REQUEST_CONCURRENCY = 3;
+// How long a file no source knew is left alone before it is looked up again
+const UNKNOWN_RECHECK_MS = 7 * 24 * 60 * 60 * 1000;
 
 class UpdateManager extends EventEmitter {
-  constructor(modrinthAPI, profileManager) {
+  // jarMetadata: a JarMetadataReader, whose hash cache spares re-hashing
+  // unchanged files
+  constructor(providers, profileManager, backups, jarMetadata = null) {
     super();
-    this.api = modrinthAPI;
+    this.providers = providers;
     this.profileManager = profileManager;
+    this.backups = backups;
+    this.jarMetadata = jarMetadata;
     this.isUpdating = false;
+    this.registryWrites = Promise.resolve();
+
+    backups.setReferencedBackups(profilePath => this.getUndoableBackupIds(profilePath));
+    backups.setRegistryWriter((profilePath, edit) => this.editModRegistry(this.getRegistryPath(profilePath), edit));
   }
 
   async checkForUpdates(profileId) {
     const profile = this.profileManager.getProfile(profileId);
     const installedMods = await this.getInstalledMods(profile);
-    const updateResults = [];
+    const rules = await this.loadUpdateRules(profileId);
 
     this.emit('updateCheckStarted', { profileId, modCount: installedMods.length });
 
-    for (let i = 0; i < installedMods.length; i++) {
-      const mod = installedMods[i];
-      
-      try {
-        this.emit('checkingMod', { mod: mod.name, progress: i + 1, total: installedMods.length });
-        
-        const latestVersion = await this.api.getLatestVersion(
-          mod.projectId,
-          profile.gameVersion,
-          profile.loader
-        );
+    const reported = new Set();
+    const reportChecked = (result) => {
+      if (reported.has(result)) return;
+      reported.add(result);
+      this.emit('checkingMod', { mod: result.name, progress: reported.size, total: installedMods.length });
+    };
 
-        const updateInfo = {
-          ...mod,
-          hasUpdate: false,
-          latestVersion: null,
-          canUpdate: false
-        };
+    const updateResults = installedMods.map(mod => {
+      if (mod.unknownSource) {
+        return { ...mod, hasUpdate: false, canUpdate: false };
+      }
 
-        if (latestVersion && this.compareVersions(mod.currentVersion, latestVersion.version_number) < 0) {
-          updateInfo.hasUpdate = true;
-          updateInfo.latestVersion = latestVersion;
-          updateInfo.canUpdate = true;
-          updateInfo.updateSize = latestVersion.files[0]?.size || 0;
-        }
+      const rule = rules.mods[mod.projectId] || {};
+      return {
+        ...mod,
+        hasUpdate: false,
+        latestVersion: null,
+        canUpdate: false,
+        channel: rule.channel || rules.channel,
+        channelOverride: rule.channel || null,
+        pin: rule.pin || null,
+        ignored: !!rule.ignore,
+        skippedVersions: rule.skip || []
+      };
+    });
 
-        updateResults.push(updateInfo);
+    updateResults.filter(result => result.unknownSource || result.ignored).forEach(reportChecked);
+    const pending = updateResults.filter(result => !result.unknownSource && !result.ignored);
 
+    const byProvider = new Map();
+    pending.forEach(result => {
+      if (!byProvider.has(result.provider)) byProvider.set(result.provider, []);
+      byProvider.get(result.provider).push(result);
+    });
+
+    for (const [providerId, results] of byProvider) {
+      try {
+        const provider = this.providers.get(providerId);
+        await this.findCandidates(provider, profile, results, reportChecked);
+        await this.fillInstalledVersions(provider, results);
       } catch (error) {
-        console.warn(`Failed to check updates for ${mod.name}:`, error);
-        updateResults.push({
-          ...mod,
-          hasUpdate: false,
-          error: error.message
+        console.warn(`Failed to check updates from ${providerId}:`, error);
+        results.filter(result => !result.candidate).forEach(result => {
+          result.error = error.message;
         });
+        // Keep the progress count reaching the total
+        results.forEach(reportChecked);
+      }
+    }
+
+    for (const result of pending) {
+      const { candidate } = result;
+      delete result.candidate;
+      if (!candidate || result.error) continue;
+
+      const { order, reason } = compareReleases(this.getInstalledRelease(result), candidate);
+      // A pin is followed even when it points at an older version
+      const movesToPin = !!result.pin && order <= 0 && result.versionId !== candidate.id;
+      if (order > 0 || movesToPin) {
+        result.hasUpdate = true;
+        result.latestVersion = candidate;
+        result.canUpdate = true;
+        result.updateSize = (candidate.files.find(f => f.primary) || candidate.files[0])?.size || 0;
+        result.updateReason = movesToPin ? `pinned to v${result.pin.version}` : reason;
+      } else if (order < 0) {
+        // Never offer a downgrade, but say why nothing is offered
+        result.newestAvailable = { version: candidate.version_number, reason };
       }
     }
 
@@ -66,30 +121,190 @@ class UpdateManager extends EventEmitter {
     return updateResults;
   }
 
+  // Set result.candidate to the version each mod would move to, in as few
+  // requests as possible: pinned versions are fetched together and the rest
+  // are looked up by installed file hash, one request per channel and chunk.
+  // Only mods whose newest version was skipped need a request of their own.
+  async findCandidates(provider, profile, results, reportChecked) {
+    const pinned = results.filter(result => result.pin);
+    if (pinned.length > 0) {
+      const versions = await this.getVersionsById(provider, pinned.map(result => result.pin.versionId));
+      pinned.forEach(result => {
+        result.candidate = versions.get(result.pin.versionId) || null;
+        if (!result.candidate) {
+          result.error = `Pinned version ${result.pin.version} is no longer available`;
+        }
+        reportChecked(result);
+      });
+    }
+
+    const unpinned = results.filter(result => !result.pin);
+    for (const result of unpinned.filter(result => !result.sha1)) {
+      result.sha1 = (await hashFile(result.filePath, ['sha1'])).sha1;
+    }
+
+    // Packs are looked up under their own loaders, not the profile's
+    const groups = new Map();
+    unpinned.forEach(result => {
+      const loader = getProjectLoaders(result.projectType, profile.loader);
+      const key = `${result.channel} ${[].concat(loader).join(',')}`;
+      if (!groups.has(key)) groups.set(key, { channel: result.channel, loader, results: [] });
+      groups.get(key).results.push(result);
+    });
+
+    const individually = [];
+    const batches = [...groups.values()].flatMap(({ channel, loader, results: groupResults }) =>
+      chunk(groupResults, HASH_BATCH_SIZE).map(batch => ({ channel, loader, batch }))
+    );
+
+    await mapWithConcurrency(batches, REQUEST_CONCURRENCY, async ({ channel, loader, batch }) => {
+      const latest = await provider.getLatestVersionsFromHashes(
+        batch.map(result => result.sha1),
+        'sha1',
+        { gameVersion: profile.gameVersion, loader, channel }
+      );
+
+      batch.forEach(result => {
+        const version = latest[result.sha1] || null;
+        if (version && result.skippedVersions.some(skipped => skipped.versionId === version.id)) {
+          individually.push(result);
+          return;
+        }
+        result.candidate = version;
+        reportChecked(result);
+      });
+    });
+
+    await mapWithConcurrency(individually, REQUEST_CONCURRENCY, async (result) => {
+      try {
+        result.candidate = await provider.getLatestVersion(
+          result.projectId,
+          profile.gameVersion,
+          getProjectLoaders(result.projectType, profile.loader),
+          { channel: result.channel, exclude: result.skippedVersions.map(skipped => skipped.versionId) }
+        );
+      } catch (error) {
+        console.warn(`Failed to check updates for ${result.name}:`, error);
+        result.error = error.message;
+      }
+      reportChecked(result);
+    });
+  }
+
+  // Older registry entries lack the publish date of the installed version,
+  // which the provider's ordering needs, and mods registered from a modpack's
+  // file list lack its version number; fetch those together
+  async fillInstalledVersions(provider, results) {
+    const missing = results.filter(result => result.versionId && (
+      !result.currentVersion ||
+      (result.candidate && !result.versionDate && result.versionId !== result.candidate.id)
+    ));
+    if (missing.length === 0) return;
+
+    try {
+      const versions = await this.getVersionsById(provider, missing.map(result => result.versionId));
+      missing.forEach(result => {
+        const version = versions.get(result.versionId);
+        if (!version) return;
+        result.versionDate = result.versionDate || version.date_published;
+        result.currentVersion = result.currentVersion || version.version_number;
+      });
+    } catch (error) {
+      console.warn('Failed to get installed versions, comparing version numbers instead:', error);
+    }
+  }
+
+  async getVersionsById(provider, versionIds) {
+    const batches = chunk([...new Set(versionIds)], HASH_BATCH_SIZE);
+    const versions = (await mapWithConcurrency(batches, REQUEST_CONCURRENCY, batch => provider.getVersions(batch))).flat();
+    return new Map(versions.map(version => [version.id, version]));
+  }
+
+  getInstalledRelease(mod) {
+    return {
+      versionId: mod.versionId,
+      version: mod.currentVersion,
+      date: mod.versionDate,
+      sha1: mod.sha1
+    };
+  }
+
   async getInstalledMods(profile) {
     const modsPath = profile.modsPath;
     const installedMods = [];
 
-    if (!await fs.pathExists(modsPath)) {
-      return installedMods;
+    const modRegistry = await this.loadModRegistry(profile.id);
+    const files = await fs.pathExists(modsPath) ? await fs.readdir(modsPath) : [];
+
+    // Disabled mods are still checked so they are current when re-enabled
+    const modFiles = files.filter(isModFile).map(file => ({
+      fileName: getModFileName(file),
+      filePath: path.join(modsPath, file),
+      disabled: isDisabledModFile(file),
+      projectType: 'mod'
+    }));
+
+    // Resource, shader and data packs are checked alongside the mods, keyed
+    // by their path in the game directory
+    const packs = await listPackFiles(profile.packFolders || {});
+    modFiles.push(...packs.map(pack => ({
+      fileName: pack.key,
+      filePath: pack.filePath,
+      disabled: false,
+      projectType: pack.projectType,
+      world: pack.world
+    })));
+
+    const unregistered = [];
+    for (const mod of modFiles) {
+      const entry = modRegistry[mod.fileName];
+      if (entry && entry.projectId) continue;
+      // No source knew this file last time; only ask again once it changes
+      // or the answer is old enough that it may have been published since
+      if (entry && entry.unknownSource && !isStale(entry) && entry.hashes && entry.hashes.sha1 &&
+        await this.getSha1(mod.filePath) === entry.hashes.sha1) continue;
+      unregistered.push(mod);
+    }
+    if (this.jarMetadata) {
+      await this.jarMetadata.saveCache();
     }
 
-    const modRegistry = await this.loadModRegistry(profile.id);
-    const files = await fs.readdir(modsPath);
-    const jarFiles = files.filter(f => f.endsWith('.jar'));
+    if (unregistered.length > 0) {
+      await this.identifyMods(profile, unregistered, modRegistry);
+    }
     
-    for (const file of jarFiles) {
-      const filePath = path.join(modsPath, file);
-      const modInfo = modRegistry[file];
+    for (const { fileName, filePath, disabled, projectType, world } of modFiles) {
+      const modInfo = modRegistry[fileName];
+      const lastModified = (await fs.stat(filePath)).mtime;
       
       if (modInfo && modInfo.projectId) {
         installedMods.push({
-          fileName: file,
+          fileName,
           filePath,
           name: modInfo.name,
           currentVersion: modInfo.version,
           projectId: modInfo.projectId,
-          lastModified: (await fs.stat(filePath)).mtime
+          versionId: modInfo.versionId || null,
+          versionDate: modInfo.datePublished || null,
+          sha1: modInfo.hashes?.sha1 || null,
+          provider: modInfo.provider || ProviderRegistry.DEFAULT_PROVIDER_ID,
+          disabled,
+          projectType,
+          world,
+          lastModified
+        });
+      } else {
+        installedMods.push({
+          fileName,
+          filePath,
+          name: modInfo?.name || getDisplayName(fileName),
+          currentVersion: modInfo?.version || null,
+          projectId: null,
+          unknownSource: true,
+          disabled,
+          projectType,
+          world,
+          lastModified
         });
       }
     }
@@ -97,6 +312,76 @@ class UpdateManager extends EventEmitter {
     return installedMods;
   }
 
+  async getSha1(filePath) {
+    try {
+      return this.jarMetadata
+        ? await this.jarMetadata.getSha1(filePath)
+        : (await hashFile(filePath, ['sha1'])).sha1;
+    } catch (error) {
+      console.warn(`Failed to hash ${path.basename(filePath)}:`, error);
+      return null;
+    }
+  }
+
+  // Hash files that have no registry entry and match them against every mod
+  // source's version-file lookup. Matches are written to the registry; files
+  // no source knows are recorded as unknown source.
+  // mods: [{ fileName, filePath }] where fileName is the registry key
+  async identifyMods(profile, mods, modRegistry) {
+    const hashed = [];
+
+    for (const { fileName, filePath } of mods) {
+      try {
+        const hashes = await hashFile(filePath);
+        hashed.push({ fileName, hashes });
+      } catch (error) {
+        console.warn(`Failed to hash ${fileName}:`, error);
+      }
+    }
+
+    const { matches, complete } = await this.providers.identifyFiles(hashed);
+
+    const identifiedAt = new Date().toISOString();
+    const identified = {};
+    for (const { fileName, hashes } of hashed) {
+      const match = matches.get(fileName);
+
+      if (match) {
+        const file = match.version.files.find(f => f.hashes.sha1 === hashes.sha1);
+        identified[fileName] = {
+          name: match.title || getDisplayName(fileName),
+          version: match.version.version_number,
+          projectId: match.version.project_id,
+          provider: match.provider,
+          fileName,
+          identifiedAt,
+          versionId: match.version.id,
+          datePublished: match.version.date_published,
+          gameVersions: match.version.game_versions,
+          loaders: match.version.loaders,
+          hashes,
+          url: file ? file.url : null
+        };
+      } else if (complete) {
+        identified[fileName] = {
+          name: getDisplayName(fileName),
+          fileName,
+          identifiedAt,
+          unknownSource: true,
+          hashes
+        };
+      }
+      // Otherwise leave it alone so the lookup is retried on the next check
+    }
+
+    // Only the identified entries are merged in, so edits made while the
+    // lookup ran are kept
+    Object.assign(modRegistry, identified);
+    await this.editModRegistry(this.getRegistryPath(this.profileManager.getProfilePath(profile.id)), (registry) => {
+      Object.assign(registry, identified);
+    });
+  }
+
   async updateMod(mod, profile) {
     if (!mod.latestVersion) {
       throw new Error('No update available');
@@ -104,32 +389,45 @@ class UpdateManager extends EventEmitter {
 
     this.emit('updateStarted', { mod: mod.name });
 
-    try {
-      await this.createBackup(mod, profile);
+    const downloadFile = mod.latestVersion.files.find(f => f.primary) || mod.latestVersion.files[0];
+    // A disabled mod stays disabled after updating
+    const newPath = path.join(
+      path.dirname(mod.filePath),
+      getFileNameForState(downloadFile.filename, !mod.disabled)
+    );
+    const newKey = isPackType(mod.projectType)
+      ? getPackKey(mod.projectType, downloadFile.filename, mod.world)
+      : downloadFile.filename;
+    let backupId = null;
 
-      const downloadFile = mod.latestVersion.files.find(f => f.primary) || mod.latestVersion.files[0];
-      const tempPath = path.join(profile.path, 'temp', downloadFile.filename);
+    try {
+      backupId = path.basename(await this.createBackup(mod, profile));
       
-      await this.downloadWithProgress(downloadFile.url, tempPath, (progress) => {
-        this.emit('downloading', { mod: mod.name, progress });
+      // Only a verified file replaces anything in the mods folder
+      await this.providers.get(mod.provider).download(downloadFile, newPath, {
+        onProgress: (progress) => {
+          this.emit('downloading', { mod: mod.name, progress });
+        }
       });
 
-      if (await fs.pathExists(mod.filePath)) {
+      if (newPath !== mod.filePath && await fs.pathExists(mod.filePath)) {
         await fs.remove(mod.filePath);
       }
 
-      const newPath = path.join(path.dirname(mod.filePath), downloadFile.filename);
-      await fs.move(tempPath, newPath);
-
       await this.updateModRegistry(profile.id, mod.fileName, {
         name: mod.name,
         version: mod.latestVersion.version_number,
         projectId: mod.projectId,
-        fileName: downloadFile.filename,
+        provider: mod.provider,
+        projectType: mod.projectType || 'mod',
+        fileName: newKey,
         updatedAt: new Date().toISOString(),
         versionId: mod.latestVersion.id,
+        datePublished: mod.latestVersion.date_published,
         gameVersions: mod.latestVersion.game_versions,
-        loaders: mod.latestVersion.loaders
+        loaders: mod.latestVersion.loaders,
+        hashes: downloadFile.hashes,
+        url: downloadFile.url
       });
 
       this.emit('updateCompleted', { 
@@ -140,120 +438,182 @@ class UpdateManager extends EventEmitter {
 
       return {
         success: true,
+        projectId: mod.projectId || null,
         oldFile: mod.fileName,
-        newFile: downloadFile.filename,
-        newVersion: mod.latestVersion.version_number
+        newFile: newKey,
+        filePath: newPath,
+        oldVersion: mod.currentVersion,
+        newVersion: mod.latestVersion.version_number,
+        backupId
       };
 
     } catch (error) {
       this.emit('updateFailed', { mod: mod.name, error: error.message });
-      await this.restoreFromBackup(mod, profile);
+      if (backupId) {
+        await this.restoreFromBackup(mod, profile, backupId, newPath);
+        this.backups.release([backupId]);
+      }
       throw error;
     }
   }
 
-  async updateMultipleMods(mods, profile) {
+  // options.atomic: treat the batch as one transaction and roll every
+  // finished update back if any of them fails
+  async updateMultipleMods(mods, profile, { atomic = false } = {}) {
+    if (this.isUpdating) {
+      throw new Error('Updates are already running');
+    }
+
     this.isUpdating = true;
-    const results = [];
+    const startedAt = new Date().toISOString();
+    const backupIds = [];
+    let finished = 0;
+
+    try {
+      // Every update is started at once and the download queue limits how
+      // many files are fetched in parallel
+      const results = await Promise.all(mods.map(async (mod) => {
+        let result;
+        try {
+          result = { mod: mod.name, ...await this.updateMod(mod, profile) };
+          backupIds.push(result.backupId);
+        } catch (error) {
+          result = { 
+            mod: mod.name, 
+            success: false, 
+            error: error.message 
+          };
+        }
 
-    for (let i = 0; i < mods.length; i++) {
-      const mod = mods[i];
-      
-      try {
         this.emit('batchUpdateProgress', { 
-          current: i + 1, 
+          current: ++finished, 
           total: mods.length, 
           modName: mod.name 
         });
+        return result;
+      }));
 
-        const result = await this.updateMod(mod, profile);
-        results.push({ mod: mod.name, ...result });
-        
-      } catch (error) {
-        results.push({ 
-          mod: mod.name, 
-          success: false, 
-          error: error.message 
-        });
+      const failed = results.some(result => !result.success);
+      const rollbackErrors = atomic && failed ? await this.rollBackBatch(profile, results) : [];
+
+      let status = failed ? 'partial' : 'completed';
+      if (atomic && failed) {
+        status = rollbackErrors.length > 0 ? 'rollback failed' : 'rolled back';
       }
-    }
 
-    this.isUpdating = false;
-    this.emit('batchUpdateCompleted', { results });
-    
-    return results;
+      const batch = await this.recordUpdateBatch(profile.id, {
+        id: `${Date.now()}`,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        atomic,
+        status,
+        ...(rollbackErrors.length > 0 && {
+          error: `Could not roll back ${rollbackErrors.map(e => `${e.mod} (${e.error})`).join(', ')}`
+        }),
+        mods: results
+      });
+
+      this.emit('batchUpdateCompleted', { results, batch });
+      return results;
+    } finally {
+      // Once the batch is in the history, the history keeps its backups
+      this.backups.release(backupIds);
+      this.isUpdating = false;
+    }
   }
 
-  compareVersions(current, latest) {
-    const parseVersion = (v) => {
-      const parts = v.split(/[.-]/).map(part => {
-        const num = parseInt(part);
-        return isNaN(num) ? part : num;
-      });
-      return parts;
-    };
-    
-    const currentParts = parseVersion(current);
-    const latestParts = parseVersion(latest);
-    
-    for (let i = 0; i < Math.max(currentParts.length, latestParts.length); i++) {
-      const curr = currentParts[i] || 0;
-      const lat = latestParts[i] || 0;
-      
-      if (typeof curr === 'number' && typeof lat === 'number') {
-        if (curr < lat) return -1;
-        if (curr > lat) return 1;
-      } else {
-        const currStr = String(curr);
-        const latStr = String(lat);
-        if (currStr < latStr) return -1;
-        if (currStr > latStr) return 1;
+  // Put back every mod the batch did update, newest registry state included.
+  // Returns the mods that could not be put back: [{ mod, error }]
+  async rollBackBatch(profile, results) {
+    const errors = [];
+
+    for (const result of results.filter(r => r.success)) {
+      try {
+        await this.backups.restore(profile.path, result.backupId, path.dirname(result.filePath));
+        result.rolledBack = true;
+      } catch (error) {
+        console.error(`Failed to roll back ${result.mod}:`, error);
+        result.rollbackError = error.message;
+        errors.push({ mod: result.mod, error: error.message });
       }
     }
-    
-    return 0;
+
+    return errors;
   }
 
-  async createBackup(mod, profile) {
-    const backupDir = path.join(profile.path, 'backups', 'mods');
-    await fs.ensureDir(backupDir);
+  // Backups of updates the history can still undo
+  async getUndoableBackupIds(profilePath) {
+    const historyPath = path.join(profilePath, UPDATE_HISTORY_NAME);
+    const history = await fs.pathExists(historyPath) ? await fs.readJson(historyPath) : [];
 
-    const backupName = `${mod.fileName}.backup.${Date.now()}`;
-    const backupPath = path.join(backupDir, backupName);
-    
-    await fs.copy(mod.filePath, backupPath);
-    return backupPath;
+    return history.flatMap(batch => batch.mods
+      .filter(mod => mod.success && mod.backupId && !mod.rolledBack && !mod.undone)
+      .map(mod => mod.backupId));
   }
 
-  async downloadWithProgress(url, destination, onProgress) {
-    const response = await axios({
-      method: 'GET',
-      url: url,
-      responseType: 'stream',
-      headers: { 'User-Agent': 'Lumen-Mod-Manager/1.0.0' }
-    });
+  async loadUpdateHistory(profileId) {
+    const historyPath = path.join(this.profileManager.getProfilePath(profileId), UPDATE_HISTORY_NAME);
+    return await fs.pathExists(historyPath) ? await fs.readJson(historyPath) : [];
+  }
 
-    const totalSize = parseInt(response.headers['content-length'], 10);
-    let downloadedSize = 0;
+  async saveUpdateHistory(profileId, history) {
+    const historyPath = path.join(this.profileManager.getProfilePath(profileId), UPDATE_HISTORY_NAME);
+    await fs.ensureDir(path.dirname(historyPath));
+    await fs.writeJson(historyPath, history.slice(0, HISTORY_LIMIT), { spaces: 2 });
+  }
 
-    // Ensure temp directory exists
-    const tempDir = path.dirname(destination);
-    await fs.ensureDir(tempDir);
+  // History is kept newest first
+  async recordUpdateBatch(profileId, batch) {
+    const history = await this.loadUpdateHistory(profileId);
+    history.unshift(batch);
+    await this.saveUpdateHistory(profileId, history);
+    return batch;
+  }
 
-    const writer = fs.createWriteStream(destination);
-    
-    return new Promise((resolve, reject) => {
-      response.data.on('data', chunk => {
-        downloadedSize += chunk.length;
-        const progress = totalSize ? (downloadedSize / totalSize) * 100 : 0;
-        onProgress(Math.round(progress));
-      });
+  // Undo a finished batch by restoring the backup each of its updates made.
+  // Mods that can't be restored are reported and left for another try.
+  async undoUpdateBatch(profileId, batchId) {
+    if (this.isUpdating) {
+      throw new Error('Wait for the running updates to finish');
+    }
 
-      response.data.pipe(writer);
-      
-      writer.on('finish', resolve);
-      writer.on('error', reject);
-    });
+    const profile = this.profileManager.getProfile(profileId);
+    const history = await this.loadUpdateHistory(profileId);
+    const batch = history.find(b => b.id === batchId);
+    if (!batch) {
+      throw new Error('Update batch not found');
+    }
+
+    const pending = batch.mods.filter(mod => mod.success && !mod.rolledBack && !mod.undone);
+    if (pending.length === 0) {
+      throw new Error('Nothing left to undo in this batch');
+    }
+
+    const failures = [];
+    for (const mod of pending) {
+      try {
+        await this.backups.restore(profile.path, mod.backupId, path.dirname(mod.filePath));
+        mod.undone = true;
+      } catch (error) {
+        failures.push({ mod: mod.mod, error: error.message });
+      }
+    }
+
+    if (failures.length === 0) {
+      batch.status = 'undone';
+      batch.undoneAt = new Date().toISOString();
+    }
+    await this.saveUpdateHistory(profileId, history);
+
+    return { batch, undone: pending.length - failures.length, failures };
+  }
+
+  compareVersions(current, latest) {
+    return compareVersionNumbers(current, latest);
+  }
+
+  async createBackup(mod, profile) {
+    return await this.backups.create(profile.path, mod.filePath, { reason: 'update', registryKey: mod.fileName, hold: true });
   }
 
   async loadModRegistry(profileId) {
@@ -266,36 +626,135 @@ class UpdateManager extends EventEmitter {
     return {};
   }
 
-  async updateModRegistry(profileId, oldFileName, modInfo) {
-    const registryPath = path.join(this.profileManager.getProfilePath(profileId), 'mod-registry.json');
-    const registry = await this.loadModRegistry(profileId);
-    
-    if (oldFileName !== modInfo.fileName) {
-      delete registry[oldFileName];
+  // Per-profile update rules:
+  //   channel - default release channel for every mod
+  //   mods    - keyed by project ID: { channel, pin: { versionId, version },
+  //             skip: [{ versionId, version }], ignore }
+  async loadUpdateRules(profileId) {
+    const rulesPath = path.join(this.profileManager.getProfilePath(profileId), UPDATE_RULES_NAME);
+    const rules = await fs.pathExists(rulesPath) ? await fs.readJson(rulesPath) : {};
+
+    return {
+      channel: isValidChannel(rules.channel) ? rules.channel : DEFAULT_CHANNEL,
+      mods: rules.mods || {}
+    };
+  }
+
+  async saveUpdateRules(profileId, rules) {
+    const rulesPath = path.join(this.profileManager.getProfilePath(profileId), UPDATE_RULES_NAME);
+    await fs.ensureDir(path.dirname(rulesPath));
+    await fs.writeJson(rulesPath, rules, { spaces: 2 });
+  }
+
+  async setUpdateChannel(profileId, channel) {
+    if (!isValidChannel(channel)) {
+      throw new Error(`Unknown release channel: ${channel}`);
     }
-    
-    registry[modInfo.fileName] = modInfo;
-    await fs.writeJson(registryPath, registry, { spaces: 2 });
+
+    const rules = await this.loadUpdateRules(profileId);
+    rules.channel = channel;
+    await this.saveUpdateRules(profileId, rules);
+    return rules;
   }
 
-  async restoreFromBackup(mod, profile) {
-    const backupDir = path.join(profile.path, 'backups', 'mods');
-    
-    if (!await fs.pathExists(backupDir)) {
-      return;
+  // changes: any of channel, pin, ignore to set (null clears), plus
+  // skipVersion / unskipVersion to add or drop one skipped version and
+  // clearSkipped to drop them all
+  async setModUpdateRule(profileId, projectId, changes) {
+    if (!projectId) {
+      throw new Error('Update rules need a mod with a known source');
+    }
+    if (changes.channel && !isValidChannel(changes.channel)) {
+      throw new Error(`Unknown release channel: ${changes.channel}`);
     }
 
-    const backups = await fs.readdir(backupDir);
-    const modBackups = backups
-      .filter(f => f.startsWith(mod.fileName + '.backup.'))
-      .sort()
-      .reverse();
+    const rules = await this.loadUpdateRules(profileId);
+    const rule = { ...rules.mods[projectId] };
+
+    for (const key of ['channel', 'pin', 'ignore']) {
+      if (!(key in changes)) continue;
+      if (changes[key]) {
+        rule[key] = changes[key];
+      } else {
+        delete rule[key];
+      }
+    }
+
+    let skip = rule.skip || [];
+    if (changes.skipVersion && !skip.some(s => s.versionId === changes.skipVersion.versionId)) {
+      skip = [...skip, changes.skipVersion];
+    }
+    if (changes.unskipVersion) {
+      skip = skip.filter(s => s.versionId !== changes.unskipVersion);
+    }
+    if (changes.clearSkipped) {
+      skip = [];
+    }
+    if (skip.length > 0) {
+      rule.skip = skip;
+    } else {
+      delete rule.skip;
+    }
 
-    if (modBackups.length > 0) {
-      const latestBackup = path.join(backupDir, modBackups[0]);
-      await fs.copy(latestBackup, mod.filePath);
+    if (Object.keys(rule).length > 0) {
+      rules.mods[projectId] = rule;
+    } else {
+      delete rules.mods[projectId];
     }
+
+    await this.saveUpdateRules(profileId, rules);
+    return rules;
+  }
+
+  async updateModRegistry(profileId, oldFileName, modInfo) {
+    return this.editModRegistry(this.getRegistryPath(this.profileManager.getProfilePath(profileId)), (registry) => {
+      if (oldFileName !== modInfo.fileName) {
+        delete registry[oldFileName];
+      }
+      
+      registry[modInfo.fileName] = modInfo;
+    });
+  }
+
+  getRegistryPath(profilePath) {
+    return path.join(profilePath, 'mod-registry.json');
+  }
+
+  // Updates run in parallel and backup restores edit the registry too, so
+  // every read-modify-write is chained
+  editModRegistry(registryPath, edit) {
+    const write = this.registryWrites.then(async () => {
+      const registry = await fs.pathExists(registryPath) ? await fs.readJson(registryPath) : {};
+      await edit(registry);
+      await fs.outputJson(registryPath, registry, { spaces: 2 });
+    });
+
+    this.registryWrites = write.catch(() => {});
+    return write;
   }
+
+  // Undo a single failed update: drop the new jar if it made it into the
+  // mods folder and put the backed-up one back where it was
+  async restoreFromBackup(mod, profile, backupId, newPath) {
+    if (newPath !== mod.filePath && await fs.pathExists(newPath)) {
+      await fs.remove(newPath);
+    }
+
+    if (!await fs.pathExists(mod.filePath)) {
+      await fs.copy(path.join(this.backups.getBackupDir(profile.path), backupId), mod.filePath);
+    }
+  }
+}
+
+// Entries without a usable timestamp count as stale
+function isStale(entry) {
+  const checkedAt = Date.parse(entry.identifiedAt || entry.importedAt);
+  return Number.isNaN(checkedAt) || Date.now() - checkedAt > UNKNOWN_RECHECK_MS;
+}
+
+// Registry keys of packs are paths; show just the file name without extension
+function getDisplayName(fileName) {
+  return path.posix.basename(fileName).replace(/\.(jar|zip)$/, '');
 }
 
 module.exports = UpdateManager;
\ No newline at end of file
@@ -0,0 +1,108 @@
+// src/utils/download.js
+const fs = require('fs-extra');
+const path = require('path');
+const HttpClient = require('../services/http-client');
+const { hashFile } = require('./hash');
+
+const DEFAULT_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+
+// Download to a temp file next to the destination, verify it against the
+// expected hashes and size, then rename it into place. The destination is
+// only ever replaced by a verified file.
+async function downloadFile(url, destination, { hashes = {}, size, attempts = DEFAULT_ATTEMPTS, onProgress, http } = {}) {
+  const dir = path.dirname(destination);
+  await fs.ensureDir(dir);
+
+  let lastError;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const tempPath = path.join(dir, `.${path.basename(destination)}.${process.pid}-${Date.now()}.lumen-download`);
+
+    try {
+      await streamToFile(url, tempPath, { onProgress, http });
+      await verifyFile(tempPath, { hashes, size });
+      await fs.rename(tempPath, destination);
+      return destination;
+    } catch (error) {
+      lastError = error;
+      await fs.remove(tempPath).catch(() => {});
+
+      if (attempt < attempts) {
+        console.warn(`Download of ${path.basename(destination)} failed (attempt ${attempt}/${attempts}):`, error.message);
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * attempt));
+      }
+    }
+  }
+
+  throw new Error(`Failed to download ${path.basename(destination)} after ${attempts} attempts: ${lastError.message}`);
+}
+
+// Fetch url into filePath. With resume, a partial filePath is continued
+// with a Range request; a server that ignores the range sends the whole
+// file, which then replaces the partial one. onProgress gets the percentage
+// and { received, total } in bytes.
+async function streamToFile(url, filePath, { onProgress, signal, resume = false, http = new HttpClient() } = {}) {
+  const offset = resume && await fs.pathExists(filePath) ? (await fs.stat(filePath)).size : 0;
+  const headers = {};
+  if (offset > 0) {
+    headers.Range = `bytes=${offset}-`;
+  }
+
+  let response;
+  try {
+    response = await http.get(url, { responseType: 'stream', headers, signal });
+  } catch (error) {
+    // Nothing left to fetch; verification decides whether the file is whole
+    if (offset > 0 && error.response && error.response.status === 416) return;
+    throw error;
+  }
+
+  const appending = offset > 0 && response.status === 206;
+  const start = appending ? offset : 0;
+  const contentLength = parseInt(response.headers['content-length'], 10);
+  const totalSize = contentLength ? contentLength + start : 0;
+  let downloadedSize = start;
+
+  const writer = fs.createWriteStream(filePath, { flags: appending ? 'a' : 'w' });
+
+  return new Promise((resolve, reject) => {
+    response.data.on('data', chunk => {
+      downloadedSize += chunk.length;
+      if (onProgress) {
+        const progress = totalSize ? (downloadedSize / totalSize) * 100 : 0;
+        onProgress(Math.round(progress), { received: downloadedSize, total: totalSize });
+      }
+    });
+
+    // A dropped or aborted connection surfaces here rather than on the writer
+    response.data.on('error', (error) => {
+      writer.destroy();
+      reject(error);
+    });
+
+    response.data.pipe(writer);
+
+    writer.on('finish', resolve);
+    writer.on('error', reject);
+  });
+}
+
+async function verifyFile(filePath, { hashes = {}, size }) {
+  if (size) {
+    const stats = await fs.stat(filePath);
+    if (stats.size !== size) {
+      throw new Error(`size mismatch (expected ${size} bytes, got ${stats.size})`);
+    }
+  }
+
+  // Prefer the strongest common hash; pack formats may only give another one
+  const algorithm = ['sha512', 'sha1'].find(name => hashes[name]) || Object.keys(hashes).find(name => hashes[name]);
+  if (!algorithm) return;
+
+  const actual = (await hashFile(filePath, [algorithm]))[algorithm];
+  if (actual !== hashes[algorithm].toLowerCase()) {
+    throw new Error(`${algorithm} mismatch (expected ${hashes[algorithm]}, got ${actual})`);
+  }
+}
+
+module.exports = { downloadFile, streamToFile, verifyFile };
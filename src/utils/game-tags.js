@@ -0,0 +1,55 @@
+// src/utils/game-tags.js
+
+// Used until Modrinth's tag lists have been fetched once, e.g. on a first
+// start without a connection
+const FALLBACK_GAME_VERSIONS = ['1.21.8', '1.21.1', '1.21', '1.20.6', '1.20.4', '1.20.1', '1.19.4', '1.19.2', '1.18.2', '1.16.5', '1.12.2']
+  .map(version => ({ version, version_type: 'release' }));
+const FALLBACK_LOADERS = ['fabric', 'forge', 'neoforge', 'quilt']
+  .map(name => ({ name, supported_project_types: ['mod'] }));
+
+// What a brand-new install's first profile targets
+const DEFAULT_GAME_VERSION = '1.20.1';
+const DEFAULT_LOADER = 'fabric';
+
+const LOADER_NAMES = {
+  neoforge: 'NeoForge',
+  liteloader: 'LiteLoader',
+  modloader: 'ModLoader',
+  nilloader: 'NilLoader',
+  'legacy-fabric': 'Legacy Fabric',
+  'bta-babric': 'BTA (Babric)',
+  'java-agent': 'Java Agent'
+};
+
+// Modrinth's /tag/game_version list -> { releases, snapshots }, newest first.
+// Betas and alphas of old versions count as snapshots.
+function groupGameVersions(tags) {
+  const sorted = [...tags].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  return {
+    releases: sorted.filter(tag => tag.version_type === 'release').map(tag => tag.version),
+    snapshots: sorted.filter(tag => tag.version_type !== 'release').map(tag => tag.version)
+  };
+}
+
+// Modrinth's /tag/loader list also has plugin and shader loaders; only the
+// ones that load mods are offered
+function getModLoaders(tags) {
+  return tags
+    .filter(tag => (tag.supported_project_types || []).includes('mod'))
+    .map(tag => ({ id: tag.name, name: getLoaderName(tag.name) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getLoaderName(loader) {
+  return LOADER_NAMES[loader] || loader.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+module.exports = {
+  FALLBACK_GAME_VERSIONS,
+  FALLBACK_LOADERS,
+  DEFAULT_GAME_VERSION,
+  DEFAULT_LOADER,
+  groupGameVersions,
+  getModLoaders,
+  getLoaderName
+};
@@ -0,0 +1,23 @@
+// src/utils/hash.js
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// Hash a file in a single pass, returning hex digests keyed by algorithm
+function hashFile(filePath, algorithms = ['sha1', 'sha512']) {
+  return new Promise((resolve, reject) => {
+    const hashers = algorithms.map(algorithm => crypto.createHash(algorithm));
+    const stream = fs.createReadStream(filePath);
+
+    stream.on('data', chunk => hashers.forEach(hasher => hasher.update(chunk)));
+    stream.on('error', reject);
+    stream.on('end', () => {
+      const digests = {};
+      algorithms.forEach((algorithm, i) => {
+        digests[algorithm] = hashers[i].digest('hex');
+      });
+      resolve(digests);
+    });
+  });
+}
+
+module.exports = { hashFile };
@@ -0,0 +1,29 @@
+// src/utils/markdown.js
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Project descriptions and changelogs are markdown that may embed raw HTML.
+// Only formatting, links and images survive; links open in the browser
+// (see the window open handler in main.js).
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'details', 'summary', 'center', 'del', 'ins', 'sup', 'sub']),
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    '*': ['align']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { target: '_blank', rel: 'noopener noreferrer' })
+  }
+};
+
+function renderMarkdown(text) {
+  if (!text) return '';
+  return sanitizeHtml(marked.parse(text, { gfm: true }), SANITIZE_OPTIONS);
+}
+
+module.exports = {
+  renderMarkdown
+};
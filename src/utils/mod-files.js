@@ -0,0 +1,36 @@
+// src/utils/mod-files.js
+
+// Disabled mods keep their jar with this suffix appended, the same
+// convention other launchers use, so the game ignores them
+const DISABLED_SUFFIX = '.disabled';
+
+function isEnabledModFile(fileName) {
+  return fileName.endsWith('.jar') && !fileName.startsWith('.');
+}
+
+function isDisabledModFile(fileName) {
+  return fileName.endsWith(`.jar${DISABLED_SUFFIX}`) && !fileName.startsWith('.');
+}
+
+function isModFile(fileName) {
+  return isEnabledModFile(fileName) || isDisabledModFile(fileName);
+}
+
+// The registry is keyed by the enabled file name whether or not the mod is disabled
+function getModFileName(fileName) {
+  return isDisabledModFile(fileName) ? fileName.slice(0, -DISABLED_SUFFIX.length) : fileName;
+}
+
+function getFileNameForState(fileName, enabled) {
+  const baseName = getModFileName(fileName);
+  return enabled ? baseName : `${baseName}${DISABLED_SUFFIX}`;
+}
+
+module.exports = {
+  DISABLED_SUFFIX,
+  isEnabledModFile,
+  isDisabledModFile,
+  isModFile,
+  getModFileName,
+  getFileNameForState
+};
@@ -0,0 +1,106 @@
+// src/utils/pack-files.js
+const fs = require('fs-extra');
+const path = require('path');
+
+// Modpack files are laid out relative to the game directory. Jars directly
+// under mods/ live in the profile directory like any other profile mod;
+// everything else goes into the profile's managed folders (folders/<name>,
+// see getManagedFoldersPath in main.js), which the profile switch swaps in.
+// Files nested deeper under mods/ have nowhere to go and get a null target.
+function getProfileTarget(profilePath, relativePath) {
+  const normalized = path.normalize(relativePath).replace(/\\/g, '/');
+  if (path.isAbsolute(normalized) || normalized.startsWith('../') || normalized === '..') {
+    throw new Error(`Refusing to write outside the profile: ${relativePath}`);
+  }
+
+  if (normalized.startsWith('mods/') && !normalized.slice(5).includes('/')) {
+    return { isMod: true, fileName: normalized.slice(5), target: path.join(profilePath, normalized.slice(5)) };
+  }
+
+  if (normalized.startsWith('mods/')) {
+    return { isMod: false, fileName: null, target: null };
+  }
+
+  return { isMod: false, fileName: null, target: path.join(profilePath, 'folders', normalized) };
+}
+
+// The game folders and files an imported pack brought along; the new
+// profile manages them so they only apply while it is active
+async function listOverrideFolders(profilePath) {
+  const foldersPath = path.join(profilePath, 'folders');
+  return await fs.pathExists(foldersPath) ? (await fs.readdir(foldersPath)).sort() : [];
+}
+
+// Files served from Modrinth's CDN name their project and version:
+// https://cdn.modrinth.com/data/<projectId>/versions/<versionId>/<file>
+const MODRINTH_CDN_URL = /^https:\/\/cdn\.modrinth\.com\/data\/([A-Za-z0-9]+)\/versions\/([A-Za-z0-9]+)\//;
+
+function parseModrinthUrl(url) {
+  const match = MODRINTH_CDN_URL.exec(url || '');
+  return match ? { projectId: match[1], versionId: match[2] } : null;
+}
+
+// Register every imported mod so it takes part in update checks.
+// modFiles: [{ fileName, hashes: { sha1, sha512 }, source? }]; files whose
+// source ({ provider, projectId, versionId, url, name? }) the pack already
+// names are registered as is, the rest are matched against the mod sources.
+// Update checks look up the version number those entries lack.
+async function writePackRegistry(providers, profilePath, modFiles) {
+  const registry = {};
+  const importedAt = new Date().toISOString();
+
+  for (const { fileName, hashes, source } of modFiles.filter(file => file.source)) {
+    registry[fileName] = {
+      name: source.name || fileName.replace(/\.jar$/, ''),
+      version: null,
+      projectId: source.projectId,
+      provider: source.provider,
+      fileName,
+      importedAt,
+      versionId: source.versionId,
+      hashes,
+      url: source.url || null
+    };
+  }
+
+  const unnamed = modFiles.filter(file => !file.source);
+  const { matches, complete } = unnamed.length > 0
+    ? await providers.identifyFiles(unnamed)
+    : { matches: new Map(), complete: true };
+
+  for (const { fileName, hashes } of unnamed) {
+    const match = matches.get(fileName);
+
+    if (match) {
+      const file = match.version.files.find(f => f.hashes.sha1 === hashes.sha1);
+      registry[fileName] = {
+        name: match.title || fileName.replace(/\.jar$/, ''),
+        version: match.version.version_number,
+        projectId: match.version.project_id,
+        provider: match.provider,
+        fileName,
+        importedAt,
+        versionId: match.version.id,
+        datePublished: match.version.date_published,
+        gameVersions: match.version.game_versions,
+        loaders: match.version.loaders,
+        hashes,
+        url: file ? file.url : null
+      };
+    } else {
+      // Only give up on a file once every source could be asked; otherwise
+      // the next update check looks it up again
+      registry[fileName] = {
+        name: fileName.replace(/\.jar$/, ''),
+        fileName,
+        importedAt,
+        ...(complete ? { unknownSource: true } : {}),
+        hashes
+      };
+    }
+  }
+
+  await fs.writeJson(path.join(profilePath, 'mod-registry.json'), registry, { spaces: 2 });
+}
+
+module.exports = { getProfileTarget, listOverrideFolders, parseModrinthUrl, writePackRegistry };
@@ -0,0 +1,111 @@
+// src/utils/project-types.js
+const fs = require('fs-extra');
+const path = require('path');
+
+// Modrinth project types Lumen installs, and the game folder each goes in.
+// Data packs belong to a world, so theirs is saves/<world>/datapacks.
+// Modpacks aren't installed into a folder; they become a new profile.
+// Packs list the "loaders" Modrinth files their versions under; mods and
+// modpacks use the profile's loader instead.
+const PROJECT_TYPES = {
+  mod: { folder: 'mods', name: 'Mods' },
+  resourcepack: { folder: 'resourcepacks', name: 'Resource Packs', loaders: ['minecraft'] },
+  shader: { folder: 'shaderpacks', name: 'Shader Packs', loaders: ['iris', 'optifine', 'canvas', 'vanilla'] },
+  datapack: { folder: 'datapacks', name: 'Data Packs', perWorld: true, loaders: ['datapack'] },
+  modpack: { name: 'Modpacks' }
+};
+const DEFAULT_PROJECT_TYPE = 'mod';
+// Installed as .zip files rather than jars
+const PACK_TYPES = ['resourcepack', 'shader', 'datapack'];
+
+function isProjectType(projectType) {
+  return Object.prototype.hasOwnProperty.call(PROJECT_TYPES, projectType);
+}
+
+function isPackType(projectType) {
+  return PACK_TYPES.includes(projectType);
+}
+
+// The loaders to look for versions of a project type under
+function getProjectLoaders(projectType, profileLoader) {
+  return isPackType(projectType) ? PROJECT_TYPES[projectType].loaders : profileLoader;
+}
+
+function isPackFile(fileName) {
+  return fileName.toLowerCase().endsWith('.zip') && !fileName.startsWith('.');
+}
+
+// Packs are registered under their path relative to the game directory,
+// e.g. resourcepacks/Faithful.zip or saves/New World/datapacks/Terralith.zip.
+// Mods keep their plain file names, so the two never collide.
+function getPackKey(projectType, fileName, world) {
+  const { folder, perWorld } = PROJECT_TYPES[projectType];
+  return perWorld
+    ? path.posix.join('saves', world, folder, fileName)
+    : path.posix.join(folder, fileName);
+}
+
+function isPackKey(key) {
+  return key.includes('/');
+}
+
+// Worlds are the folders in saves/ with a level.dat
+async function listWorlds(savesDir) {
+  if (!savesDir || !await fs.pathExists(savesDir)) return [];
+
+  const worlds = [];
+  for (const name of await fs.readdir(savesDir)) {
+    if (await fs.pathExists(path.join(savesDir, name, 'level.dat'))) {
+      worlds.push(name);
+    }
+  }
+  return worlds.sort((a, b) => a.localeCompare(b));
+}
+
+// folders: { resourcepacks, shaderpacks, saves } - where a profile's copy
+// of each game folder is. Resolves to every pack file in them:
+// [{ projectType, world, key, fileName, filePath }]
+async function listPackFiles(folders, projectTypes = PACK_TYPES) {
+  const packs = [];
+
+  const addFolder = async (projectType, dir, world = null) => {
+    if (!dir || !await fs.pathExists(dir)) return;
+
+    for (const fileName of (await fs.readdir(dir)).filter(isPackFile)) {
+      packs.push({
+        projectType,
+        world,
+        key: getPackKey(projectType, fileName, world),
+        fileName,
+        filePath: path.join(dir, fileName)
+      });
+    }
+  };
+
+  for (const projectType of projectTypes.filter(isPackType)) {
+    const { folder, perWorld } = PROJECT_TYPES[projectType];
+    if (perWorld) {
+      for (const world of await listWorlds(folders.saves)) {
+        await addFolder(projectType, path.join(folders.saves, world, folder), world);
+      }
+    } else {
+      await addFolder(projectType, folders[folder]);
+    }
+  }
+
+  return packs;
+}
+
+module.exports = {
+  PROJECT_TYPES,
+  DEFAULT_PROJECT_TYPE,
+  PACK_TYPES,
+  isProjectType,
+  isPackType,
+  getProjectLoaders,
+  isPackFile,
+  getPackKey,
+  isPackKey,
+  listWorlds,
+  listPackFiles
+};
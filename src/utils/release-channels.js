@@ -0,0 +1,23 @@
+// src/utils/release-channels.js
+
+// Ordered from most to least stable; each channel also accepts every
+// channel before it, so "beta" offers releases and betas
+const CHANNELS = ['release', 'beta', 'alpha'];
+const DEFAULT_CHANNEL = 'release';
+
+function isValidChannel(channel) {
+  return CHANNELS.includes(channel);
+}
+
+function isAllowedByChannel(versionType, channel = DEFAULT_CHANNEL) {
+  const allowed = CHANNELS.indexOf(isValidChannel(channel) ? channel : DEFAULT_CHANNEL);
+  const rank = CHANNELS.indexOf(versionType || DEFAULT_CHANNEL);
+  return rank !== -1 && rank <= allowed;
+}
+
+// Version types a channel offers, for APIs that filter server-side
+function getAllowedTypes(channel = DEFAULT_CHANNEL) {
+  return CHANNELS.filter(type => isAllowedByChannel(type, channel));
+}
+
+module.exports = { CHANNELS, DEFAULT_CHANNEL, isValidChannel, isAllowedByChannel, getAllowedTypes };
@@ -0,0 +1,89 @@
+// src/utils/version-order.js
+
+// Pre-release qualifiers ordered the way Maven and semver treat them;
+// a missing qualifier means a full release
+const QUALIFIER_RANKS = {
+  alpha: -5, a: -5,
+  beta: -4, b: -4,
+  milestone: -3, m: -3,
+  rc: -2, cr: -2, pre: -2,
+  snapshot: -1,
+  '': 0, ga: 0, final: 0, release: 0,
+  sp: 1
+};
+// Qualifiers nobody agrees on sort after the known ones, alphabetically
+const UNKNOWN_QUALIFIER_RANK = 2;
+
+// "mc1.20.1-0.5.3+build.7" -> [mc, 1, 20, 1, 0, 5, 3]; build metadata
+// after "+" never affects ordering
+function tokenize(version) {
+  const withoutBuild = String(version || '').toLowerCase().replace(/\+.*$/, '');
+  return (withoutBuild.match(/\d+|[a-z]+/g) || []).map(token =>
+    /^\d/.test(token) ? Number(token) : token
+  );
+}
+
+function qualifierRank(token) {
+  return token in QUALIFIER_RANKS ? QUALIFIER_RANKS[token] : UNKNOWN_QUALIFIER_RANK;
+}
+
+function compareTokens(a, b) {
+  // A version that runs out of parts is padded with a release marker, so
+  // 1.0 == 1.0.0, 1.0 > 1.0-beta and 1.0 < 1.0.1
+  if (a === undefined) a = typeof b === 'number' ? 0 : '';
+  if (b === undefined) b = typeof a === 'number' ? 0 : '';
+
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.sign(a - b);
+  }
+  // A number always beats a qualifier: 1.0.1 > 1.0-rc
+  if (typeof a === 'number') return 1;
+  if (typeof b === 'number') return -1;
+
+  const rankDiff = qualifierRank(a) - qualifierRank(b);
+  if (rankDiff !== 0) return Math.sign(rankDiff);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Compare two version strings; returns -1, 0 or 1
+function compareVersionNumbers(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+
+  for (let i = 0; i < Math.max(tokensA.length, tokensB.length); i++) {
+    const result = compareTokens(tokensA[i], tokensB[i]);
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+// Decide whether candidate (a provider version) is newer than installed.
+// installed: { versionId, version, date, sha1 } as far as they are known.
+// The provider's publish dates are authoritative; version numbers are only
+// compared when a date is missing or both were published at the same time.
+// Returns { order, reason } where order is 1 if candidate is newer, 0 if
+// it is the installed version and -1 if it is older.
+function compareReleases(installed, candidate) {
+  if (installed.versionId && installed.versionId === candidate.id) {
+    const files = candidate.files || [];
+    if (installed.sha1 && files.length > 0 && !files.some(file => file.hashes && file.hashes.sha1 === installed.sha1)) {
+      return { order: 1, reason: 'same version, different file' };
+    }
+    return { order: 0, reason: 'same version' };
+  }
+
+  const installedTime = installed.date ? Date.parse(installed.date) : NaN;
+  const candidateTime = candidate.date_published ? Date.parse(candidate.date_published) : NaN;
+  if (!isNaN(installedTime) && !isNaN(candidateTime) && installedTime !== candidateTime) {
+    return candidateTime > installedTime
+      ? { order: 1, reason: 'newer by date' }
+      : { order: -1, reason: 'older by date' };
+  }
+
+  const order = compareVersionNumbers(candidate.version_number, installed.version);
+  if (order > 0) return { order, reason: 'newer version number' };
+  if (order < 0) return { order, reason: 'older version number' };
+  return { order: 0, reason: 'same version number' };
+}
+
+module.exports = { compareVersionNumbers, compareReleases };